@@ -1,28 +1,119 @@
+/*
+ Data source adapters for the bookingCalendar "rest" setting.
+
+ Adapter interface (each method returns a promise, the optional callback gets the same data as the promise;
+ a failure rejects the promise with a calendarRestError {type: 'validation', 'conflict', 'network' or 'server', message, status};
+ the promise may have an abort() method, which the calendar calls for the requests it no longer needs - rejecting them with 'abort'):
+ getEvents(categoryId, participantId, year, month, day, callback) : the events data (see jquery.bookingCalendar.js),
+ :                                                                  false for the parameters not to filter by
+ addEvent(data, callback)                                         : adds an event, resolves with the server answer
+ updateEvent(id, data, callback)                                  : changes the fields of an event
+ deleteEvent(id, callback)                                        : deletes an event
+ updateEventOccurrence(id, originalDate, data, callback)          : changes a single occurrence of a recurring event
+ Optional methods, used by the calendar when present:
+ cancelEvent(id, reason, callback)                                : cancels a booking (deleteEvent is used when there is none)
+ getAvailability(categoryId, startDate, endDate, period, callback): the busy periods [{startDate, endDate}] (availability setting)
+ getBlackouts(categoryId, year, month, callback)                  : the blackout dates (restBlackouts setting)
+ holdSlot(categoryId, startDate, endDate, minutes, callback)      : holds a slot, resolves with {id, expiresIn} (bookingHolds setting)
+ releaseHold(id, callback)                                        : releases a hold
+
+ Shipped adapters:
+ CalendarRest                      : a single handler taking an 'action' parameter (get, add, update, delete...)
+ new CalendarRestResource(url)     : RESTful resources - GET/POST /events, PATCH/DELETE /events/:id
+ new CalendarMemory(events)        : events kept in memory, for tests and demos
+ */
+
+/**
+ * Creates the error the promise of an adapter method is rejected with
+ * @param {string} type       'validation' (invalid data), 'conflict' (e.g. the slot is taken), 'network', 'server' or 'abort'
+ * @param {string=} message   Details of the error [Optional]
+ * @param {number=} status    HTTP status of the answer [Optional]
+ * @returns {{type: string, message: string, status: number}}
+ */
+var calendarRestError = function (type, message, status) {
+    return {
+        'type': type,
+        'message': message || '',
+        'status': status || 0
+    };
+};
+
+/**
+ * Returns a promise rejected with a calendarRestError, for the calls failing before any request is sent
+ * @param {string} type       The type of error (see calendarRestError)
+ * @param {string=} message   Details of the error [Optional]
+ * @returns {object}          The promise
+ */
+var calendarRestReject = function (type, message) {
+    return $.Deferred().reject(calendarRestError(type, message)).promise();
+};
+
+/**
+ * Turns an ajax request into the promise of an adapter method: resolved with the answer (which the callback gets as well),
+ * or rejected with a calendarRestError - an answer {error: type or message, message} is a failure too
+ * @param {object} request       The ajax request (jqXHR)
+ * @param {function=} callback   Called with the answer on success [Optional]
+ * @returns {object}             The promise, with an abort() method cancelling the request
+ */
+var calendarRestPromise = function (request, callback) {
+    var deferred = $.Deferred();
+    request.done(function (data) {
+        if (data && data.error) {
+            var type = ($.inArray(data.error, ['validation', 'conflict', 'server']) >= 0) ? data.error : 'server';
+            deferred.reject(calendarRestError(type, data.message || ((type !== data.error) ? data.error : ''), request.status));
+            return;
+        }
+        if (callback) callback(data);
+        deferred.resolve(data);
+    }).fail(function (xhr, textStatus) {
+        var type = 'server';
+        var message = xhr.statusText || textStatus;
+        if (textStatus === 'abort') {
+            type = 'abort';
+        } else if (!xhr.status) {
+            type = 'network';
+        } else if (xhr.status === 409) {
+            type = 'conflict';
+        } else if ((xhr.status === 400) || (xhr.status === 422)) {
+            type = 'validation';
+        }
+        try {
+            message = JSON.parse(xhr.responseText).message || message;
+        } catch (e) {
+            // Not a JSON answer, the status text will do
+        }
+        deferred.reject(calendarRestError(type, message, xhr.status));
+    });
+    return deferred.promise({
+        'abort': function () {
+            request.abort();
+        }
+    });
+};
+
 var CalendarRest = {
         'HANDLER': 'events.json',
         'send': function(data, callback) {
             var t = this;
-            return $.post(
+            return calendarRestPromise($.post(
                 t.HANDLER,
-                data,
-                callback
-            );
+                data
+            ), callback);
         },
         'get': function(data, callback) {
             var t = this;
-            return $.get(
+            return calendarRestPromise($.get(
                 t.HANDLER,
                 data,
-                callback,
                 'json'
-            )
+            ), callback);
         },
         'updateEvent': function (id, data, callback) {
-            if (!parseInt(id)) return;
-            if (!data) return;
+            if (!parseInt(id)) return calendarRestReject('validation', 'Invalid event id: ' + id);
+            if (!data) return calendarRestReject('validation', 'No event data');
 
             var t = this;
-            t.send(
+            return t.send(
                 {
                     'action': 'update',
                     'id': id,
@@ -31,10 +122,26 @@ var CalendarRest = {
                 callback
             );
         },
+        'updateEventOccurrence': function (id, originalDate, data, callback) {
+            if (!parseInt(id)) return calendarRestReject('validation', 'Invalid event id: ' + id);
+            if (!originalDate) return calendarRestReject('validation', 'No occurrence date');
+            if (!data) return calendarRestReject('validation', 'No event data');
+
+            var t = this;
+            return t.send(
+                {
+                    'action': 'updateOccurrence',
+                    'id': id,
+                    'originalDate': originalDate,
+                    'fields': data
+                },
+                callback
+            );
+        },
         'addEvent': function(data, callback) {
-            if (!data) return;
+            if (!data) return calendarRestReject('validation', 'No event data');
             var t = this;
-            t.send(
+            return t.send(
                 {
                     'action': 'add',
                     'fields': data
@@ -42,16 +149,42 @@ var CalendarRest = {
                 callback
             );
         },
+        'deleteEvent': function (id, callback) {
+            if (!parseInt(id)) return calendarRestReject('validation', 'Invalid event id: ' + id);
+
+            var t = this;
+            return t.send(
+                {
+                    'action': 'delete',
+                    'id': id
+                },
+                callback
+            );
+        },
+        'cancelEvent': function (id, reason, callback) {
+            if (!parseInt(id)) return calendarRestReject('validation', 'Invalid event id: ' + id);
+
+            var t = this;
+            return t.send(
+                {
+                    'action': 'cancel',
+                    'id': id,
+                    'reason': reason || ''
+                },
+                callback
+            );
+        },
         'getEvents': function (categoryId, participantId, year, month, day, callback) {
             if (!participantId) participantId = false;
             if (!categoryId) categoryId = false;
 
             if (!year) year = false;
-            if (!month) month = false;
+            // January is month 0
+            month = (typeof month === 'number') ? month : false;
             if (!day) day = false;
 
             var t = this;
-            t.get(
+            return t.get(
                 {
                     'action': 'get',
                     'categoryId': categoryId,
@@ -62,5 +195,254 @@ var CalendarRest = {
                 },
                 callback
             );
+        },
+        'getAvailability': function (categoryId, startDate, endDate, period, callback) {
+            if (!categoryId) categoryId = false;
+
+            var t = this;
+            return t.get(
+                {
+                    'action': 'getAvailability',
+                    'categoryId': categoryId,
+                    'startDate': startDate,
+                    'endDate': endDate,
+                    'period': period
+                },
+                callback
+            );
+        },
+        'getBlackouts': function (categoryId, year, month, callback) {
+            if (!categoryId) categoryId = false;
+
+            var t = this;
+            return t.get(
+                {
+                    'action': 'getBlackouts',
+                    'categoryId': categoryId,
+                    'year': year,
+                    'month': month
+                },
+                callback
+            );
+        },
+        'holdSlot': function (categoryId, startDate, endDate, minutes, callback) {
+            if (!categoryId) categoryId = false;
+
+            var t = this;
+            return t.send(
+                {
+                    'action': 'hold',
+                    'categoryId': categoryId,
+                    'startDate': startDate,
+                    'endDate': endDate,
+                    'minutes': minutes
+                },
+                callback
+            );
+        },
+        'releaseHold': function (id, callback) {
+            if (!id) return calendarRestReject('validation', 'Invalid hold id: ' + id);
+
+            var t = this;
+            return t.send(
+                {
+                    'action': 'releaseHold',
+                    'id': id
+                },
+                callback
+            );
+        }
+    };
+
+/**
+ * RESTful adapter: the events are resources under a base url (GET/POST url/events, PATCH/DELETE url/events/:id)
+ * @param {string=} url  The base url of the resources (no trailing slash) [Optional]
+ * @constructor
+ */
+var CalendarRestResource = function (url) {
+    this.URL = url || '';
+};
+
+CalendarRestResource.prototype = {
+        'request': function (method, path, data, callback) {
+            var t = this;
+            var withBody = (method === 'POST') || (method === 'PATCH');
+            return calendarRestPromise($.ajax({
+                'url': t.URL + path,
+                'type': method,
+                'data': withBody ? JSON.stringify(data) : data,
+                'contentType': withBody ? 'application/json' : undefined,
+                'dataType': 'json'
+            }), callback);
+        },
+        'getEvents': function (categoryId, participantId, year, month, day, callback) {
+            var t = this;
+            return t.request(
+                'GET',
+                '/events',
+                {
+                    'categoryId': categoryId || false,
+                    'participantId': participantId || false,
+                    'year': year || false,
+                    'month': (typeof month === 'number') ? month : false,
+                    'day': (day > 0) ? day : false
+                },
+                callback
+            );
+        },
+        'addEvent': function (data, callback) {
+            var t = this;
+            return t.request('POST', '/events', data, callback);
+        },
+        'updateEvent': function (id, data, callback) {
+            var t = this;
+            return t.request('PATCH', '/events/' + encodeURIComponent(id), data, callback);
+        },
+        'updateEventOccurrence': function (id, originalDate, data, callback) {
+            var t = this;
+            return t.request('PATCH', '/events/' + encodeURIComponent(id) + '/occurrences/' + encodeURIComponent(originalDate), data, callback);
+        },
+        'deleteEvent': function (id, callback) {
+            var t = this;
+            return t.request('DELETE', '/events/' + encodeURIComponent(id), undefined, callback);
+        },
+        'cancelEvent': function (id, reason, callback) {
+            var t = this;
+            return t.request('POST', '/events/' + encodeURIComponent(id) + '/cancel', {'reason': reason || ''}, callback);
+        },
+        'getAvailability': function (categoryId, startDate, endDate, period, callback) {
+            var t = this;
+            return t.request(
+                'GET',
+                '/availability',
+                {
+                    'categoryId': categoryId || false,
+                    'startDate': startDate,
+                    'endDate': endDate,
+                    'period': period
+                },
+                callback
+            );
+        },
+        'getBlackouts': function (categoryId, year, month, callback) {
+            var t = this;
+            return t.request(
+                'GET',
+                '/blackouts',
+                {
+                    'categoryId': categoryId || false,
+                    'year': year,
+                    'month': month
+                },
+                callback
+            );
+        },
+        'holdSlot': function (categoryId, startDate, endDate, minutes, callback) {
+            var t = this;
+            return t.request(
+                'POST',
+                '/holds',
+                {
+                    'categoryId': categoryId || false,
+                    'startDate': startDate,
+                    'endDate': endDate,
+                    'minutes': minutes
+                },
+                callback
+            );
+        },
+        'releaseHold': function (id, callback) {
+            var t = this;
+            return t.request('DELETE', '/holds/' + encodeURIComponent(id), undefined, callback);
+        }
+    };
+
+/**
+ * In-memory adapter: keeps the events in an array, for tests and demos without a server
+ * @param {Array=} events  The initial events data [Optional]
+ * @constructor
+ */
+var CalendarMemory = function (events) {
+    var t = this;
+    t.events = $.map(events || [], function (event) {
+        return $.extend({}, event);
+    });
+    t.nextId = 1;
+    $.each(t.events, function (key, event) {
+        if (parseInt(event.id, 10) >= t.nextId) {
+            t.nextId = parseInt(event.id, 10) + 1;
+        }
+    });
+};
+
+CalendarMemory.prototype = {
+        'resolve': function (data, callback) {
+            if (callback) {
+                callback(data);
+            }
+            return $.Deferred().resolve(data).promise();
+        },
+        'find': function (id) {
+            var t = this;
+            return $.grep(t.events, function (event) {
+                return String(event.id) === String(id);
+            })[0];
+        },
+        'getEvents': function (categoryId, participantId, year, month, day, callback) {
+            // The dates are left to the calendar, which only shows the events of the period it asked for
+            var t = this;
+            var events = $.grep(t.events, function (event) {
+                return (!categoryId || (event.categoryId === undefined) || (String(event.categoryId) === String(categoryId))) &&
+                    (!participantId || (String(event.participantId) === String(participantId)));
+            });
+            return t.resolve($.map(events, function (event) {
+                return $.extend({}, event);
+            }), callback);
+        },
+        'addEvent': function (data, callback) {
+            if (!data) return calendarRestReject('validation', 'No event data');
+
+            var t = this;
+            var event = $.extend({}, data, {'id': t.nextId});
+            t.nextId += 1;
+            t.events.push(event);
+            return t.resolve($.extend({}, event), callback);
+        },
+        'updateEvent': function (id, data, callback) {
+            var t = this;
+            var event = t.find(id);
+            if (!event) return calendarRestReject('validation', 'Unknown event id: ' + id);
+
+            $.extend(event, data, {'id': event.id});
+            return t.resolve($.extend({}, event), callback);
+        },
+        'updateEventOccurrence': function (id, originalDate, data, callback) {
+            var t = this;
+            var event = t.find(id);
+            if (!event) return calendarRestReject('validation', 'Unknown event id: ' + id);
+
+            event.exceptions = $.grep(event.exceptions || [], function (exception) {
+                return String(exception.originalDate) !== String(originalDate);
+            });
+            event.exceptions.push($.extend({}, data, {'originalDate': originalDate}));
+            return t.resolve($.extend({}, event), callback);
+        },
+        'deleteEvent': function (id, callback) {
+            var t = this;
+            var event = t.find(id);
+            if (!event) return calendarRestReject('validation', 'Unknown event id: ' + id);
+
+            t.events = $.grep(t.events, function (item) {
+                return item !== event;
+            });
+            return t.resolve($.extend({}, event), callback);
+        },
+        'cancelEvent': function (id, reason, callback) {
+            // A cancelled booking frees its slot, so it goes the way of a deleted one
+            var t = this;
+            return t.deleteEvent(id).done(function (event) {
+                event.cancelReason = reason || '';
+                if (callback) callback(event);
+            });
         }
-    };
\ No newline at end of file
+    };
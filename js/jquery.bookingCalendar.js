@@ -10,16 +10,40 @@
  :     type     - the type of repetition: 'day', 'week', 'month', 'year'
  :     interval - the interval between events in the "type" units
  :     end      - when the recurrence should end - either 'none' (default), number of times, or a date
+ :                (whatever the type, a date without a time includes the events of that day)
+ :     frequency - an array of week days (Sunday is 0), only for the 'week' type
+ :     day and count2 - define a day of a month (first Monday, third Friday, etc), only for the 'month' and 'year' types
+ :                day is the week day (Sunday is 0), count2 the occurrence in the month (-1 is the last one)
+ :     weekStart - the first day of the week for 'week' recurrences with a frequency (Sunday is 0, the default)
+ :     exdate   - an array of dates taken out of the recurrence (a date without a time takes out the whole day)
+ :     rdate    - an array of dates added to the recurrence (a date without a time gets the event start time)
  : - Examples of the rec_type data:
  :     { type: 'day', interval: 3 } - every three days
  :     { type: 'month', interval: 2 } - every two months
  :     { type: 'month', interval: 2, end: 6 } - every two months ending after 6 intervals
  :     { type: 'month', interval: 2, end: '20131201' } - every two months ending 01 Dec 2013
- : coming...
- :     day and count2 - define a day of a month (first Monday, third Friday, etc)
- :     frequency - an array of week days (Sunday is 0)
- :     { type: 'month', interval: 1, ???? _1_2_ - second Monday of each month
  :     { type: 'week', interval: 2, frequency: [1,5] } - Monday and Friday of each second week
+ :     { type: 'week', interval: 1, frequency: [2,4], end: 10 } - Tuesday and Thursday, ending after 10 events
+ :     { type: 'month', interval: 1, day: 1, count2: 2 } - second Monday of each month
+ :     { type: 'month', interval: 1, day: 5, count2: -1 } - last Friday of each month
+ :     { type: 'year', interval: 1, day: 4, count2: 4 } - fourth Thursday of the start date month each year
+ : - RRULE format (RFC 5545):
+ :     either a single rule ('FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10') or iCalendar lines ('RRULE:...', 'EXDATE:...', 'RDATE:...')
+ :     supported rule parts are FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL, COUNT, UNTIL, WKST and BYDAY
+ :     (week days for WEEKLY, a single day with an occurrence such as 2MO or -1FR for MONTHLY and YEARLY)
+ : - Examples of the RRULE data:
+ :     'FREQ=WEEKLY;BYDAY=TU,TH;UNTIL=20181231' - Tuesday and Thursday until the end of 2018
+ :     'FREQ=MONTHLY;BYDAY=-1FR' - last Friday of each month
+ :     'RRULE:FREQ=DAILY;COUNT=10\nEXDATE:20180405T100000,20180406T100000' - ten days, two of them cancelled
+ exceptions          : changes to single occurrences of a recurring event - an array of JSON objects:
+ :     originalDate - the date of the occurrence in the recurrence (a date without a time matches the whole day)
+ :     cancelled    - true to take the occurrence out of the calendar
+ :     startDate, endDate, title, description, url, classEvent, classTitle, classDescription - values replacing
+ :                    the event ones for this occurrence (endDate defaults to startDate plus the event duration)
+ : - Examples of the exceptions data:
+ :     [{ originalDate: '2018-04-10' , cancelled: true }] - no event on 10 Apr 2018
+ :     [{ originalDate: '2018-04-17 12:00:00', startDate: '2018-04-18 14:00:00', title: 'Moved meeting' }]
+ categoryId          : code of the category (room) of the event, for the resource view - events without one are shown for every category
  classEvent          : event class - used for styling the event (no default)
  classTitle          : title class - used for styling the event title (additional to eventTitle)
  classDescription    : description class - used for styling the event description (additional to eventDescription)
@@ -41,25 +65,333 @@ if (typeof DEBUG === 'undefined') {
 (function ($) {
     "use strict";
 
+    var _MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+    /**
+     * Returns the difference (in days) between two dates ignoring daylight savings
+     * @param  {Date} aDate   The date to compare to
+     * @param  {Date} bDate   The date to compate with
+     * @return {number}       The number of days between the two dates
+     * @private
+     */
+    function _dateDiffInDays(aDate, bDate) {
+        // Discard the time and time-zone information.
+        var utc1 = Date.UTC(aDate.getFullYear(), aDate.getMonth(), aDate.getDate());
+        var utc2 = Date.UTC(bDate.getFullYear(), bDate.getMonth(), bDate.getDate());
+
+        return Math.floor((utc2 - utc1) / _MS_PER_DAY);
+    }
+
+    var _timeZoneFormats = {};
+
+    /**
+     * Returns the offset (in minutes) of a time zone from UTC at a given moment
+     * @param  {Date} date          The moment to get the offset for
+     * @param  {string=} timeZone   IANA time zone name (e.g. 'Europe/Prague'), nothing for the browser time zone [Optional]
+     * @return {number}             The number of minutes to add to UTC to get the time zone time
+     * @private
+     */
+    function _getTimeZoneOffset(date, timeZone) {
+        if (!timeZone) {
+            return -date.getTimezoneOffset();
+        }
+        if (!_timeZoneFormats[timeZone]) {
+            _timeZoneFormats[timeZone] = new Intl.DateTimeFormat('en-US', {
+                timeZone: timeZone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric',
+                second: 'numeric'
+            });
+        }
+        var parts = {};
+        $.each(_timeZoneFormats[timeZone].formatToParts(date), function (key, part) {
+            parts[part.type] = parseInt(part.value, 10);
+        });
+        var zoneTime = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute, parts.second);
+
+        return Math.round((zoneTime - date.getTime()) / 60000);
+    }
+
+    /**
+     * Returns the wall clock time of a moment in a time zone, as the number of milliseconds Date.UTC gives for it
+     * (a date of this time is a wall clock date: its UTC getters show the time zone date and time,
+     * and no DST change of the browser can move it)
+     * @param  {Date} date          The moment
+     * @param  {string=} timeZone   IANA time zone name, nothing for the browser time zone [Optional]
+     * @return {number}             The wall clock time
+     * @private
+     */
+    function _getWallTime(date, timeZone) {
+        return date.getTime() + _getTimeZoneOffset(date, timeZone) * 60000;
+    }
+
+    /**
+     * Converts a wall clock time of a time zone (see _getWallTime) to a moment
+     * @param  {number} wallTime    The wall clock time
+     * @param  {string=} timeZone   IANA time zone name, nothing for the browser time zone [Optional]
+     * @return {Date}               The moment
+     * @private
+     */
+    function _fromWallTime(wallTime, timeZone) {
+        // The offset is taken again at the first guess so that the moments around a DST change are right
+        var time = wallTime - _getTimeZoneOffset(new Date(wallTime), timeZone) * 60000;
+        time = wallTime - _getTimeZoneOffset(new Date(time), timeZone) * 60000;
+
+        return new Date(time);
+    }
+
+    /**
+     * Converts a date of the calendar (a day of the grids, a date setting), whose local getters show
+     * the venue date and time, to the moment it takes place in a time zone
+     * @param  {Date} date          The calendar date
+     * @param  {string=} timeZone   IANA time zone name, nothing keeps the browser time [Optional]
+     * @return {Date}               The moment
+     * @private
+     */
+    function _fromTimeZone(date, timeZone) {
+        if (!timeZone || !date) {
+            return date;
+        }
+        return _fromWallTime(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(),
+            date.getHours(), date.getMinutes(), date.getSeconds(), date.getMilliseconds()), timeZone);
+    }
+
+    /**
+     * Returns the day of the calendar a moment takes place on in a time zone (a local midnight, like the days of the grids)
+     * @param  {Date} date          The moment
+     * @param  {string=} timeZone   IANA time zone name, nothing for the browser time zone [Optional]
+     * @return {Date}               The day
+     * @private
+     */
+    function _getZoneDay(date, timeZone) {
+        var wallDate = new Date(_getWallTime(date, timeZone));
+        return new Date(wallDate.getUTCFullYear(), wallDate.getUTCMonth(), wallDate.getUTCDate());
+    }
+
+    /**
+     * Returns the wall clock time of a moment in a time zone, in minutes from the midnight of a day of the calendar
+     * (the reverse of _getZoneDayTime)
+     * @param  {Date} date          The moment
+     * @param  {Date} dayDate       The day
+     * @param  {string=} timeZone   IANA time zone name, nothing for the browser time zone [Optional]
+     * @return {number}             The number of minutes
+     * @private
+     */
+    function _getZoneDayMinutes(date, dayDate, timeZone) {
+        return Math.floor((_getWallTime(date, timeZone) - Date.UTC(dayDate.getFullYear(), dayDate.getMonth(), dayDate.getDate())) / 60000);
+    }
+
+    /**
+     * Formats the date and time of a moment in a time zone
+     * @param  {Date} date          The moment
+     * @param  {string} dayFormat   The datejs format of the day, empty for none
+     * @param  {string} timeFormat  The datejs format of the time, empty for none
+     * @param  {string=} timeZone   IANA time zone name, nothing for the browser time zone [Optional]
+     * @return {string}
+     * @private
+     */
+    function _formatZoneDate(date, dayFormat, timeFormat, timeZone) {
+        var texts = [];
+        if (dayFormat) {
+            texts.push(_getZoneDay(date, timeZone).toString(dayFormat));
+        }
+        if (timeFormat) {
+            texts.push(_formatDayMinutes(_getZoneDayMinutes(date, _getZoneDay(date, timeZone), timeZone), timeFormat));
+        }
+        return texts.join(' ');
+    }
+
+    /**
+     * Returns the date at a wall clock time of its day, so that days with a DST change keep their times
+     * @param  {Date} date        The day
+     * @param  {number} minutes   The wall clock time in minutes from midnight
+     * @return {Date}             The date at that time
+     * @private
+     */
+    function _getDayTime(date, minutes) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate(), 0, minutes);
+    }
+
+    /**
+     * Returns the moment a wall clock time of a day takes place in a time zone (in the browser time without a time zone)
+     * @param  {Date} date         The day
+     * @param  {number} minutes    The wall clock time in minutes from midnight
+     * @param  {string=} timeZone  IANA time zone name [Optional]
+     * @return {Date}              The moment
+     * @private
+     */
+    function _getZoneDayTime(date, minutes, timeZone) {
+        if (!timeZone) {
+            return _getDayTime(date, minutes);
+        }
+        return _fromWallTime(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(), 0, minutes), timeZone);
+    }
+
+    /**
+     * Returns true if a wall clock time of a day exists in a time zone (in the browser time without a time zone),
+     * which it doesn't in the hour skipped when the clocks go forward
+     * @param  {Date} date         The day
+     * @param  {number} minutes    The wall clock time in minutes from midnight
+     * @param  {string=} timeZone  IANA time zone name [Optional]
+     * @return {boolean}
+     * @private
+     */
+    function _isZoneDayTime(date, minutes, timeZone) {
+        var wallTime = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(), 0, minutes);
+        return _getWallTime(_getZoneDayTime(date, minutes, timeZone), timeZone) === wallTime;
+    }
+
+    /**
+     * Formats a wall clock time given in minutes from midnight
+     * @param  {number} minutes   The wall clock time
+     * @param  {string} format    The datejs format of the time
+     * @return {string}
+     * @private
+     */
+    function _formatDayMinutes(minutes, format) {
+        // A day without DST change anywhere, for any time to exist in the browser
+        return new Date(2000, 0, 1, 0, minutes).toString(format);
+    }
+
+    /**
+     * Parses a text date to a wall clock date (see _getWallTime). The times skipped by a DST change
+     * of the browser, which Date moves on, are kept as they are written
+     * @param  {string} text       The text date
+     * @param  {string=} format    Its datejs format, nothing to guess it [Optional]
+     * @return {Date}              The wall clock date or null if the text is not a date
+     * @private
+     */
+    function _parseWallTime(text, format) {
+        var date = format ? Date.parseExact(text, format) : Date.parse(text);
+        if (!date) {
+            return null;
+        }
+        var wallTime = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours(), date.getMinutes(), date.getSeconds(), date.getMilliseconds());
+        var shift = date.getTimezoneOffset() - date.clone().addDays(-1).getTimezoneOffset();
+        if (format && (shift < 0) && (date.toString(format) !== text)) {
+            wallTime += shift * 60000;
+        }
+        return new Date(wallTime);
+    }
+
+    /**
+     * Converts a date of the events data to a wall clock date of a time zone (see _getWallTime): the timestamps
+     * and date objects are moments, the text dates are written in the time zone time
+     * @param  {Date|number|string} date  Date to be converted
+     * @param  {string=} dateFormat       Date format used for the event dates [Optional]
+     * @param  {string=} timeZone         IANA time zone name, nothing for the browser time zone [Optional]
+     * @return {Date}                     The wall clock date or null if the date is invalid
+     * @private
+     */
+    function _toWallDate(date, dateFormat, timeZone) {
+        var wallDate = null;
+        if (typeof date === 'object' && date && date.getMonth) {
+            wallDate = new Date(_getWallTime(date, timeZone));
+        } else if (typeof date === 'number') {
+            wallDate = new Date(_getWallTime(new Date(date), timeZone));
+        } else if ((typeof date === 'string') && dateFormat) {
+            wallDate = (dateFormat.toLowerCase() === 'timestamp') ? new Date(_getWallTime(new Date(parseInt(date, 10)), timeZone)) : _parseWallTime(date, dateFormat);
+        }
+        if (!wallDate && (typeof date === 'string')) {
+            wallDate = _parseWallTime(date);
+        }
+        return wallDate;
+    }
+
+    /**
+     * Returns the wall clock date (see _getWallTime) of the midnight of the day of a wall clock date
+     * @param  {Date} date   The wall clock date
+     * @return {Date}
+     * @private
+     */
+    function _getWallDay(date) {
+        return new Date(Math.floor(date.getTime() / _MS_PER_DAY) * _MS_PER_DAY);
+    }
+
+    /**
+     * Returns true if a wall clock date (see _getWallTime) has no time: a date written without one
+     * @param  {Date} date   The wall clock date
+     * @return {boolean}
+     * @private
+     */
+    function _isWallDay(date) {
+        return _getWallDay(date).getTime() === date.getTime();
+    }
+
+    /**
+     * Adds days to a wall clock date (see _getWallTime), keeping its time
+     * @param  {Date} date     The wall clock date, which is changed
+     * @param  {number} days   The number of days to add
+     * @return {Date}          The date
+     * @private
+     */
+    function _addWallDays(date, days) {
+        date.setUTCDate(date.getUTCDate() + days);
+        return date;
+    }
+
+    /**
+     * Adds months to a wall clock date (see _getWallTime), keeping its time and its day of the month
+     * but for the days the month doesn't have (31 Jan and a month give 28 Feb)
+     * @param  {Date} date       The wall clock date, which is changed
+     * @param  {number} months   The number of months to add
+     * @return {Date}            The date
+     * @private
+     */
+    function _addWallMonths(date, months) {
+        var day = date.getUTCDate();
+        date.setUTCDate(1);
+        date.setUTCMonth(date.getUTCMonth() + months);
+        date.setUTCDate(Math.min(day, Date.getDaysInMonth(date.getUTCFullYear(), date.getUTCMonth())));
+        return date;
+    }
+
+    /**
+     * Returns the difference (in days) between the days of two wall clock dates (see _getWallTime)
+     * @param  {Date} aDate   The date to compare to
+     * @param  {Date} bDate   The date to compare with
+     * @return {number}       The number of days between the two dates
+     * @private
+     */
+    function _wallDateDiffInDays(aDate, bDate) {
+        return Math.round((_getWallDay(bDate) - _getWallDay(aDate)) / _MS_PER_DAY);
+    }
+
     /**
      * EventRecurrence - defines recurrence functionality for an event
-     * @param {object} recurrence          JSON object defining recurrence properties
+     * The recurrence works on the wall clock dates of the venue (see _getWallTime): the dates it takes and returns
+     * show the venue date and time through their UTC getters
+     * @param {object|string} recurrence   JSON object or RRULE string defining recurrence properties
      * @param {string=} dateFormat         Date format used for the event dates [Optional]
      * @param {function(string)=} onError  Function to call should an error occur
+     * @param {string=} timeZone           Time zone of the venue, nothing for the browser time zone [Optional]
      * @constructor
      */
-    function EventRecurrence(recurrence, dateFormat, onError) {
+    function EventRecurrence(recurrence, dateFormat, onError, timeZone) {
         var $EventRecurrence = this;
         var _error = false;
 
         $EventRecurrence.type = 'none';
         $EventRecurrence.interval = 0;
         $EventRecurrence.end = 'none';
+        $EventRecurrence.frequency = [];
+        $EventRecurrence.day = -1;
+        $EventRecurrence.count2 = 0;
+        $EventRecurrence.weekStart = 0;
+        $EventRecurrence.exdate = [];
+        $EventRecurrence.rdate = [];
         $EventRecurrence._index = 0;
 
-        // TODO - add support for the following:
-        //   day and count2 - define a day of a month (first Monday, third Friday, etc)
-        //   frequency - an array of week days (Sunday is 0)
+        var _ruleDate = null;
+        var _ruleEnded = false;
+        var _anchorDate = null;
+        var _extraDates = [];
+
+        var _ICAL_DAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
 
         /**
          * Initialises the recurrence properties to no recurrence
@@ -69,6 +401,12 @@ if (typeof DEBUG === 'undefined') {
             $EventRecurrence.type = 'none';
             $EventRecurrence.interval = 0;
             $EventRecurrence.end = 'none';
+            $EventRecurrence.frequency = [];
+            $EventRecurrence.day = -1;
+            $EventRecurrence.count2 = 0;
+            $EventRecurrence.weekStart = 0;
+            $EventRecurrence.exdate = [];
+            $EventRecurrence.rdate = [];
             $EventRecurrence._index = 0;
         };
 
@@ -86,11 +424,209 @@ if (typeof DEBUG === 'undefined') {
         };
 
         /**
-         * Initialises the recurrence object from the JSON properties provided
+         * Creates a new wall clock date from the date argument
+         * @param {Date|number|string} date  Date to be converted (a date object being a moment)
+         * @returns {Date}                   Date object representing date argument
+         * @private
+         */
+        var _newDate = function (date) {
+            return _toWallDate(date, dateFormat, timeZone);
+        };
+
+        /**
+         * Converts an iCalendar date or date-time value (20180410 or 20180410T120000 or 20180410T120000Z)
+         * to a moment, the values without Z being in the venue time
+         * @param {string} value  iCalendar date value
+         * @returns {Date}        The moment or null if the value is invalid
+         * @private
+         */
+        var _parseICalDate = function (value) {
+            var parts = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/i.exec($.trim(value));
+            if (!parts) {
+                return null;
+            }
+            var dateParts = [
+                parseInt(parts[1], 10),
+                parseInt(parts[2], 10) - 1,
+                parseInt(parts[3], 10),
+                parts[4] ? parseInt(parts[4], 10) : 0,
+                parts[5] ? parseInt(parts[5], 10) : 0,
+                parts[6] ? parseInt(parts[6], 10) : 0
+            ];
+            var wallTime = Date.UTC(dateParts[0], dateParts[1], dateParts[2], dateParts[3], dateParts[4], dateParts[5]);
+            return parts[7] ? new Date(wallTime) : _fromWallTime(wallTime, timeZone);
+        };
+
+        /**
+         * Converts a comma separated list of iCalendar dates (the value of an EXDATE or RDATE line)
+         * @param {string} name    Name of the iCalendar property
+         * @param {string} params  Property parameters (';VALUE=DATE')
+         * @param {string} value   Property value
+         * @returns {Array}        The dates or null if the list is not supported
+         * @private
+         */
+        var _parseICalDateList = function (name, params, value) {
+            var dates = [];
+            var paramList = params ? params.substr(1).split(';') : [];
+            for (var i = 0; i < paramList.length; i += 1) {
+                if ($.inArray(paramList[i].toUpperCase(), ['VALUE=DATE', 'VALUE=DATE-TIME']) < 0) {
+                    _recurrenceError("Unsupported " + name + " parameter: " + paramList[i]);
+                    return null;
+                }
+            }
+            var values = value.split(',');
+            for (i = 0; i < values.length; i += 1) {
+                var date = _parseICalDate(values[i]);
+                if (!date) {
+                    _recurrenceError("Invalid " + name + " date: " + values[i]);
+                    return null;
+                }
+                dates.push(date);
+            }
+            return dates;
+        };
+
+        /**
+         * Converts the BYDAY rule part to the frequency or the day of the month of the recurrence
+         * @param {object} rule   Recurrence JSON object being built
+         * @param {string} value  BYDAY value (MO,WE or 2MO)
+         * @returns {boolean}     False if the value is not supported
+         * @private
+         */
+        var _parseICalByDay = function (rule, value) {
+            var days = value.toUpperCase().split(',');
+            for (var i = 0; i < days.length; i += 1) {
+                var dayParts = /^([+-]?\d{1,2})?([A-Z]{2})$/.exec(days[i]);
+                var weekDay = dayParts ? $.inArray(dayParts[2], _ICAL_DAYS) : -1;
+                if (weekDay < 0) {
+                    _recurrenceError("Invalid RRULE BYDAY value: " + value);
+                    return false;
+                }
+                if ((rule.type === 'week') && !dayParts[1]) {
+                    rule.frequency = rule.frequency || [];
+                    rule.frequency.push(weekDay);
+                } else if (((rule.type === 'month') || (rule.type === 'year')) && dayParts[1] && (days.length === 1)) {
+                    rule.day = weekDay;
+                    rule.count2 = parseInt(dayParts[1], 10);
+                } else {
+                    _recurrenceError("Unsupported RRULE BYDAY value: " + value);
+                    return false;
+                }
+            }
+            return true;
+        };
+
+        /**
+         * Converts an RRULE string (with optional EXDATE and RDATE lines) to a recurrence JSON object
+         * @param {string} text  RRULE string
+         * @returns {object}     Recurrence JSON object or null if the rule is not supported
+         * @private
+         */
+        var _parseRRule = function (text) {
+            var ruleText = null;
+            var exdate = [];
+            var rdate = [];
+            var lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+            var i;
+
+            for (i = 0; i < lines.length; i += 1) {
+                var line = $.trim(lines[i]);
+                if (!line) {
+                    continue;
+                }
+                var property = /^([A-Z-]+)((?:;[^:;]+)*):(.*)$/i.exec(line);
+                var name = property ? property[1].toUpperCase() : 'RRULE';
+                var value = property ? property[3] : line;
+                var dates;
+                if (name === 'RRULE') {
+                    if (ruleText !== null) {
+                        _recurrenceError("Only one RRULE is supported: " + line);
+                        return null;
+                    }
+                    ruleText = value;
+                } else if ((name === 'EXDATE') || (name === 'RDATE')) {
+                    dates = _parseICalDateList(name, property[2], value);
+                    if (!dates) {
+                        return null;
+                    }
+                    if (name === 'EXDATE') {
+                        exdate = exdate.concat(dates);
+                    } else {
+                        rdate = rdate.concat(dates);
+                    }
+                } else {
+                    _recurrenceError("Unsupported recurrence property: " + name);
+                    return null;
+                }
+            }
+            if (!ruleText) {
+                _recurrenceError("No RRULE found: " + text);
+                return null;
+            }
+
+            var rule = {type: null, interval: 1, exdate: exdate, rdate: rdate, weekStart: 1};
+            var byDay = null;
+            var ruleParts = ruleText.split(';');
+            for (i = 0; i < ruleParts.length; i += 1) {
+                var rulePart = ruleParts[i].split('=');
+                var partName = rulePart[0].toUpperCase();
+                var partValue = rulePart.length === 2 ? rulePart[1] : '';
+                switch (partName) {
+                    case 'FREQ':
+                        rule.type = {'DAILY': 'day', 'WEEKLY': 'week', 'MONTHLY': 'month', 'YEARLY': 'year'}[partValue.toUpperCase()];
+                        if (!rule.type) {
+                            _recurrenceError("Unsupported RRULE FREQ value: " + partValue);
+                            return null;
+                        }
+                        break;
+                    case 'INTERVAL':
+                        rule.interval = partValue;
+                        break;
+                    case 'COUNT':
+                    case 'UNTIL':
+                        if (rule.end !== undefined) {
+                            _recurrenceError("RRULE can not have both COUNT and UNTIL: " + ruleText);
+                            return null;
+                        }
+                        rule.end = (partName === 'COUNT') ? parseInt(partValue, 10) : _parseICalDate(partValue);
+                        if (!rule.end) {
+                            _recurrenceError("Invalid RRULE " + partName + " value: " + partValue);
+                            return null;
+                        }
+                        break;
+                    case 'WKST':
+                        rule.weekStart = $.inArray(partValue.toUpperCase(), _ICAL_DAYS);
+                        break;
+                    case 'BYDAY':
+                        byDay = partValue;
+                        break;
+                    default:
+                        _recurrenceError("Unsupported RRULE part: " + ruleParts[i]);
+                        return null;
+                }
+            }
+            if (!rule.type) {
+                _recurrenceError("No RRULE FREQ found: " + ruleText);
+                return null;
+            }
+            if ((byDay !== null) && !_parseICalByDay(rule, byDay)) {
+                return null;
+            }
+            return rule;
+        };
+
+        /**
+         * Initialises the recurrence object from the JSON properties (or RRULE string) provided
          * @private
          */
         var _initialise = function () {
             _setRecurrenceToNone();
+            if (typeof recurrence === 'string') {
+                recurrence = _parseRRule(recurrence);
+                if (!recurrence) {
+                    return;
+                }
+            }
             if ((!recurrence) || (!recurrence.type)) {
                 _recurrenceError("No recurrence data provided");
                 return;
@@ -119,7 +655,7 @@ if (typeof DEBUG === 'undefined') {
             if (recurrence.end === undefined) {
                 $EventRecurrence.end = 'none';
             } else if (typeof recurrence.end === 'object' && recurrence.end.getMonth) {
-                $EventRecurrence.end = recurrence.end.clone();
+                $EventRecurrence.end = _newDate(recurrence.end);
             } else if (typeof recurrence.end === 'number') {
                 $EventRecurrence.end = parseInt(recurrence.end, 10);
             } else if (typeof recurrence.end === 'string') {
@@ -127,12 +663,7 @@ if (typeof DEBUG === 'undefined') {
                 if ($EventRecurrence.end === '') {
                     $EventRecurrence.end = 'none';
                 } else if ($EventRecurrence.end !== 'none') {
-                    if (dateFormat) {
-                        $EventRecurrence.end = (dateFormat.toLowerCase() === 'timestamp') ? new Date(parseInt(recurrence.end, 10)) : Date.parseExact(recurrence.end, dateFormat);
-                    }
-                    if (!$EventRecurrence.end) {
-                        $EventRecurrence.end = Date.parse(recurrence.end);
-                    }
+                    $EventRecurrence.end = _newDate(recurrence.end);
                 }
             }
             if (!$EventRecurrence.end) {
@@ -140,94 +671,527 @@ if (typeof DEBUG === 'undefined') {
                 return;
             }
 
+            if (recurrence.weekStart !== undefined) {
+                $EventRecurrence.weekStart = parseInt(recurrence.weekStart, 10);
+                if (isNaN($EventRecurrence.weekStart) || ($EventRecurrence.weekStart < 0) || ($EventRecurrence.weekStart > 6)) {
+                    _recurrenceError("Invalid recurrence week start: " + recurrence.weekStart);
+                    return;
+                }
+            }
+
+            if (recurrence.frequency !== undefined) {
+                if (recurType !== 'week') {
+                    _recurrenceError("Frequency is only supported by the week recurrence type: " + recurType);
+                    return;
+                }
+                if (!$.isArray(recurrence.frequency) || !recurrence.frequency.length) {
+                    _recurrenceError("Invalid recurrence frequency: " + recurrence.frequency);
+                    return;
+                }
+                var frequency = [];
+                for (var i = 0; i < recurrence.frequency.length; i += 1) {
+                    var weekDay = parseInt(recurrence.frequency[i], 10);
+                    if (isNaN(weekDay) || (weekDay < 0) || (weekDay > 6)) {
+                        _recurrenceError("Invalid recurrence frequency: " + recurrence.frequency);
+                        return;
+                    }
+                    if ($.inArray(weekDay, frequency) < 0) {
+                        frequency.push(weekDay);
+                    }
+                }
+                $EventRecurrence.frequency = frequency.sort(function (aDay, bDay) {
+                    return _getWeekOffset(aDay) - _getWeekOffset(bDay);
+                });
+            }
+
+            if ((recurrence.day !== undefined) || (recurrence.count2 !== undefined)) {
+                if ((recurType !== 'month') && (recurType !== 'year')) {
+                    _recurrenceError("Day of the month is only supported by the month and year recurrence types: " + recurType);
+                    return;
+                }
+                $EventRecurrence.day = parseInt(recurrence.day, 10);
+                if (isNaN($EventRecurrence.day) || ($EventRecurrence.day < 0) || ($EventRecurrence.day > 6)) {
+                    _recurrenceError("Invalid recurrence day: " + recurrence.day);
+                    return;
+                }
+                $EventRecurrence.count2 = parseInt(recurrence.count2, 10);
+                if (isNaN($EventRecurrence.count2) || ($EventRecurrence.count2 === 0) || (Math.abs($EventRecurrence.count2) > 5)) {
+                    _recurrenceError("Invalid recurrence count2: " + recurrence.count2);
+                    return;
+                }
+            }
+
+            var dateLists = {exdate: recurrence.exdate, rdate: recurrence.rdate};
+            for (var listName in dateLists) {
+                if (!dateLists.hasOwnProperty(listName) || (dateLists[listName] === undefined)) {
+                    continue;
+                }
+                if (!$.isArray(dateLists[listName])) {
+                    _recurrenceError("Invalid recurrence " + listName + ": " + dateLists[listName]);
+                    return;
+                }
+                var dates = [];
+                for (i = 0; i < dateLists[listName].length; i += 1) {
+                    var listDate = _newDate(dateLists[listName][i]);
+                    if (!listDate) {
+                        _recurrenceError("Invalid recurrence " + listName + " date: " + dateLists[listName][i]);
+                        return;
+                    }
+                    dates.push(listDate);
+                }
+                $EventRecurrence[listName] = dates.sort(function (aDate, bDate) {
+                    return aDate - bDate;
+                });
+            }
+
             if (DEBUG) {
                 console.log("Recurrence created: " + JSON.stringify($EventRecurrence));
             }
         };
 
         /**
-         * Returns the specific occurrence of a recurrence, starting from date
-         * @param {Date} date      Starting date of recurrence
-         * @param {number=} index  Number of iterations to index to (defaults to 0) [Optional]
+         * Returns the number of days between the start of the week and the week day
+         * @param {number} weekDay  Week day (Sunday is 0)
+         * @returns {number}
+         * @private
+         */
+        var _getWeekOffset = function (weekDay) {
+            return (weekDay - $EventRecurrence.weekStart + 7) % 7;
+        };
+
+        /**
+         * Returns the next week day of the frequency list after date, moving on by interval weeks
+         * once the current week has run out of days
+         * @param {Date} date  Date to move on from
          * @returns {Date}
+         * @private
          */
-        $EventRecurrence.getRecurrenceDate = function (date, index) {
-            if (!index) {
-                index = 0;
+        var _getNextFrequencyDate = function (date) {
+            var weekOffset = _getWeekOffset(date.getUTCDay());
+            for (var i = 0; i < $EventRecurrence.frequency.length; i += 1) {
+                if (_getWeekOffset($EventRecurrence.frequency[i]) > weekOffset) {
+                    return _addWallDays(date, _getWeekOffset($EventRecurrence.frequency[i]) - weekOffset);
+                }
             }
-            if ((!date) || (index < 0)) {
-                return null;
+            return _addWallDays(date, (7 * $EventRecurrence.interval) - weekOffset + _getWeekOffset($EventRecurrence.frequency[0]));
+        };
+
+        /**
+         * Returns the count2-th day (week day) of the month of date, keeping the time of date
+         * @param {Date} date  Date in the month to look in
+         * @returns {Date}     The matching date or null if the month does not have such a day
+         * @private
+         */
+        var _getMonthDayDate = function (date) {
+            var monthDate = date.clone();
+            var month = monthDate.getUTCMonth();
+            if ($EventRecurrence.count2 > 0) {
+                monthDate.setUTCDate(1);
+                _addWallDays(monthDate, (($EventRecurrence.day - monthDate.getUTCDay() + 7) % 7) + (7 * ($EventRecurrence.count2 - 1)));
+            } else {
+                monthDate.setUTCDate(Date.getDaysInMonth(monthDate.getUTCFullYear(), month));
+                _addWallDays(monthDate, -((monthDate.getUTCDay() - $EventRecurrence.day + 7) % 7) - (7 * (-$EventRecurrence.count2 - 1)));
             }
+            return (monthDate.getUTCMonth() === month) ? monthDate : null;
+        };
+
+        /**
+         * Returns the next count2-th day of a month after date, moving on by interval months or years
+         * and skipping the months that do not have such a day (e.g. a fifth Monday)
+         * @param {Date} date  Date to move on from
+         * @returns {Date}
+         * @private
+         */
+        var _getNextMonthDayDate = function (date) {
+            var monthDate = date.clone();
+            var dayDate = null;
+            monthDate.setUTCDate(1);
+            // A month with the required day always turns up within a few years
+            for (var i = 0; (i < 100) && !dayDate; i += 1) {
+                _addWallMonths(monthDate, ($EventRecurrence.type === 'year') ? 12 * $EventRecurrence.interval : $EventRecurrence.interval);
+                dayDate = _getMonthDayDate(monthDate);
+            }
+            return dayDate;
+        };
 
+        /**
+         * Returns the first date of the recurrence on or after date, where the recurrence
+         * is limited to some days (frequency or day of the month)
+         * @param {Date} date  Starting date of recurrence
+         * @returns {Date}
+         * @private
+         */
+        var _getFirstRecurrenceDate = function (date) {
             var recurDate = new Date(date);
-            $EventRecurrence._index = 0;
-            var i = 0;
-            while (i < index) {
-                recurDate = $EventRecurrence.getNextRecurrenceDate(recurDate);
-                if (!recurDate) {
-                    break;
+            if ($EventRecurrence.frequency.length) {
+                if ($.inArray(recurDate.getUTCDay(), $EventRecurrence.frequency) < 0) {
+                    recurDate = _getNextFrequencyDate(recurDate);
                 }
-                i += 1;
+            } else if ($EventRecurrence.day >= 0) {
+                var monthDayDate = _getMonthDayDate(recurDate);
+                recurDate = (monthDayDate && !monthDayDate.isBefore(recurDate)) ? monthDayDate : _getNextMonthDayDate(recurDate);
             }
-
-            $EventRecurrence._index = i;
             return recurDate;
         };
 
         /**
-         * Returns the next recurrence date in the series, starting from date
-         * @param {Date} date Starting date of recurrence
+         * Moves a date back to the day of the month the recurrence started on, when an earlier
+         * shorter month has cut it (31 Jan, 28 Feb, 31 Mar rather than 31 Jan, 28 Feb, 28 Mar)
+         * @param {Date} date  Date to correct
          * @returns {Date}
+         * @private
          */
-        $EventRecurrence.getNextRecurrenceDate = function (date) {
-            if (!date) {
-                return null;
+        var _keepAnchorDay = function (date) {
+            if (_anchorDate && (_anchorDate.getUTCDate() > date.getUTCDate())) {
+                date.setUTCDate(Math.min(_anchorDate.getUTCDate(), Date.getDaysInMonth(date.getUTCFullYear(), date.getUTCMonth())));
             }
+            return date;
+        };
 
-            var recurDate = new Date(date);
+        /**
+         * Returns the occurrence of the recurrence rule (ignoring exdate and rdate) a number of periods
+         * (interval units) after the first one, and moves the index to it
+         * Weekly recurrences with a frequency and monthly ones with a day of the month (count2) are
+         * positioned on the first matching day of the period
+         * @param {number} periods  Number of periods to jump
+         * @returns {Date}          The rule date or null if the period has no matching day
+         * @private
+         */
+        var _jumpToPeriod = function (periods) {
+            var ruleDate = _anchorDate.clone();
+            var interval = periods * $EventRecurrence.interval;
+            $EventRecurrence._index = periods;
+            if (!periods) {
+                return ruleDate;
+            }
             switch ($EventRecurrence.type) {
                 case 'day':
-                    recurDate = recurDate.addDays($EventRecurrence.interval);
-                    $EventRecurrence._index += 1;
+                    return _addWallDays(ruleDate, interval);
+                case 'week':
+                    if (!$EventRecurrence.frequency.length) {
+                        return _addWallDays(ruleDate, 7 * interval);
+                    }
+                    // The first week only has the frequency days from the anchor date onwards
+                    var anchorOffset = _getWeekOffset(_anchorDate.getUTCDay());
+                    var firstWeekCount = 0;
+                    for (var i = 0; i < $EventRecurrence.frequency.length; i += 1) {
+                        if (_getWeekOffset($EventRecurrence.frequency[i]) >= anchorOffset) {
+                            firstWeekCount += 1;
+                        }
+                    }
+                    $EventRecurrence._index = firstWeekCount + ((periods - 1) * $EventRecurrence.frequency.length);
+                    return _addWallDays(ruleDate, (7 * interval) - anchorOffset + _getWeekOffset($EventRecurrence.frequency[0]));
+                case 'month':
+                case 'year':
+                    if ($EventRecurrence.day < 0) {
+                        return _addWallMonths(ruleDate, ($EventRecurrence.type === 'month') ? interval : 12 * interval);
+                    }
+                    ruleDate.setUTCDate(1);
+                    return _getMonthDayDate(_addWallMonths(ruleDate, ($EventRecurrence.type === 'month') ? interval : 12 * interval));
+                default:
+                    return ruleDate;
+            }
+        };
+
+        /**
+         * Returns the number of whole periods (interval units) of the recurrence that can be
+         * jumped from the anchor date while staying before date
+         * @param {Date} date  Date to stay before
+         * @returns {number}
+         * @private
+         */
+        var _getPeriodsBefore = function (date) {
+            var units;
+            switch ($EventRecurrence.type) {
+                case 'day':
+                    units = _wallDateDiffInDays(_anchorDate, date);
                     break;
                 case 'week':
-                    recurDate = recurDate.addWeeks($EventRecurrence.interval);
-                    $EventRecurrence._index += 1;
+                    units = Math.floor((_wallDateDiffInDays(_anchorDate, date) + _getWeekOffset(_anchorDate.getUTCDay())) / 7);
                     break;
                 case 'month':
-                    recurDate = recurDate.addMonths($EventRecurrence.interval);
-                    $EventRecurrence._index += 1;
+                    units = ((date.getUTCFullYear() - _anchorDate.getUTCFullYear()) * 12) + date.getUTCMonth() - _anchorDate.getUTCMonth();
                     break;
                 case 'year':
-                    recurDate = recurDate.addYears($EventRecurrence.interval);
-                    $EventRecurrence._index += 1;
+                    units = date.getUTCFullYear() - _anchorDate.getUTCFullYear();
                     break;
                 default:
-                    recurDate = null;
-                    break;
+                    return 0;
             }
+            // Months without the day (e.g. a fifth Monday) break the count of events
+            if (($EventRecurrence.day >= 0) && (Math.abs($EventRecurrence.count2) > 4) && (typeof $EventRecurrence.end === 'number')) {
+                return 0;
+            }
+            // Stay one period short so no event at the start of the window is jumped over
+            return Math.max(0, Math.floor(units / $EventRecurrence.interval) - 1);
+        };
 
-            // Check if past end recurrence
-            if ((recurDate !== null) && ($EventRecurrence.end !== 'none')) {
-                if (typeof $EventRecurrence.end === 'object' && $EventRecurrence.end.getMonth) {
-                    if (recurDate.isAfter($EventRecurrence.end)) {
-                        recurDate = null;
-                    }
-                } else if (typeof $EventRecurrence.end === 'number') {
-                    if ($EventRecurrence._index >= $EventRecurrence.end) {
-                        recurDate = null;
-                    }
+        /**
+         * Returns true if the date is past the end of the recurrence
+         * @param {Date} date  Date to check
+         * @returns {boolean}
+         * @private
+         */
+        var _isPastEnd = function (date) {
+            if ($EventRecurrence.end === 'none') {
+                return false;
+            }
+            if (typeof $EventRecurrence.end === 'object' && $EventRecurrence.end.getMonth) {
+                // An end date without a time includes all the events of that day
+                if (_isWallDay($EventRecurrence.end)) {
+                    return !date.isBefore(_addWallDays($EventRecurrence.end.clone(), 1));
+                }
+                return date.isAfter($EventRecurrence.end);
+            }
+            if (typeof $EventRecurrence.end === 'number') {
+                return $EventRecurrence._index >= $EventRecurrence.end;
+            }
+            return false;
+        };
+
+        /**
+         * Returns true if the date has been taken out of the recurrence (exdate)
+         * @param {Date} date  Date to check
+         * @returns {boolean}
+         * @private
+         */
+        var _isExcluded = function (date) {
+            for (var i = 0; i < $EventRecurrence.exdate.length; i += 1) {
+                var exdate = $EventRecurrence.exdate[i];
+                // An exdate without a time takes out the whole day
+                var dateToCheck = _isWallDay(exdate) ? _getWallDay(date) : date;
+                if (exdate.equals(dateToCheck)) {
+                    return true;
+                }
+            }
+            return false;
+        };
+
+        /**
+         * Returns the dates added to the recurrence (rdate) on or after the start date, in order
+         * @param {Date} date  Starting date of recurrence
+         * @returns {Array}
+         * @private
+         */
+        var _getExtraDates = function (date) {
+            var extraDates = [];
+            for (var i = 0; i < $EventRecurrence.rdate.length; i += 1) {
+                var extraDate = $EventRecurrence.rdate[i].clone();
+                // An rdate without a time happens at the time of the event
+                if (_isWallDay(extraDate)) {
+                    extraDate.setUTCHours(date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds());
+                }
+                if (!extraDate.isBefore(date)) {
+                    extraDates.push(extraDate);
+                }
+            }
+            return extraDates.sort(function (aDate, bDate) {
+                return aDate - bDate;
+            });
+        };
+
+        /**
+         * Returns the first added date (rdate) after date
+         * @param {Date} date          Date to look from
+         * @param {boolean=} orEqual   Whether an added date equal to date is returned [Optional]
+         * @returns {Date}
+         * @private
+         */
+        var _getExtraDateAfter = function (date, orEqual) {
+            for (var i = 0; i < _extraDates.length; i += 1) {
+                if (_extraDates[i].isAfter(date) || (orEqual && _extraDates[i].equals(date))) {
+                    return _extraDates[i].clone();
                 }
             }
+            return null;
+        };
+
+        /**
+         * Returns the earliest of two dates, either of which can be null
+         * @param {Date} aDate
+         * @param {Date} bDate
+         * @returns {Date}
+         * @private
+         */
+        var _getEarliestDate = function (aDate, bDate) {
+            if (!aDate || (bDate && bDate.isBefore(aDate))) {
+                return bDate;
+            }
+            return aDate;
+        };
+
+        /**
+         * Returns the next date of the recurrence rule (ignoring exdate and rdate), starting from date
+         * @param {Date} date Date to move on from
+         * @returns {Date}
+         * @private
+         */
+        var _getNextRuleDate = function (date) {
+            var recurDate = new Date(date);
+            switch ($EventRecurrence.type) {
+                case 'day':
+                    recurDate = _addWallDays(recurDate, $EventRecurrence.interval);
+                    $EventRecurrence._index += 1;
+                    break;
+                case 'week':
+                    if ($EventRecurrence.frequency.length) {
+                        recurDate = _getNextFrequencyDate(recurDate);
+                    } else {
+                        recurDate = _addWallDays(recurDate, 7 * $EventRecurrence.interval);
+                    }
+                    $EventRecurrence._index += 1;
+                    break;
+                case 'month':
+                    if ($EventRecurrence.day >= 0) {
+                        recurDate = _getNextMonthDayDate(recurDate);
+                    } else {
+                        recurDate = _keepAnchorDay(_addWallMonths(recurDate, $EventRecurrence.interval));
+                    }
+                    $EventRecurrence._index += 1;
+                    break;
+                case 'year':
+                    if ($EventRecurrence.day >= 0) {
+                        recurDate = _getNextMonthDayDate(recurDate);
+                    } else {
+                        recurDate = _keepAnchorDay(_addWallMonths(recurDate, 12 * $EventRecurrence.interval));
+                    }
+                    $EventRecurrence._index += 1;
+                    break;
+                default:
+                    recurDate = null;
+                    break;
+            }
+
+            // Check if past end recurrence
+            if ((recurDate !== null) && _isPastEnd(recurDate)) {
+                recurDate = null;
+            }
 
             return recurDate;
         };
 
+        /**
+         * Returns the specific occurrence of a recurrence, starting from date
+         * A recurrence limited to some days starts on the first of those days on or after date
+         * @param {Date} date      Starting date of recurrence
+         * @param {number=} index  Number of iterations to index to (defaults to 0) [Optional]
+         * @returns {Date}
+         */
+        $EventRecurrence.getRecurrenceDate = function (date, index) {
+            if (!index) {
+                index = 0;
+            }
+            if ((!date) || (index < 0)) {
+                return null;
+            }
+
+            $EventRecurrence._index = 0;
+            _extraDates = _getExtraDates(date);
+            _ruleDate = _getFirstRecurrenceDate(date);
+            _anchorDate = _ruleDate ? _ruleDate.clone() : null;
+            _ruleEnded = (!_ruleDate) || _isPastEnd(_ruleDate);
+            if (_ruleEnded) {
+                _ruleDate = null;
+            }
+
+            var recurDate = _getEarliestDate(_ruleDate, _getExtraDateAfter(date, true));
+            if (recurDate && _isExcluded(recurDate)) {
+                recurDate = $EventRecurrence.getNextRecurrenceDate(recurDate);
+            }
+            var i = 0;
+            while (recurDate && (i < index)) {
+                recurDate = $EventRecurrence.getNextRecurrenceDate(recurDate);
+                i += 1;
+            }
+
+            return recurDate ? new Date(recurDate) : null;
+        };
+
+        /**
+         * Returns all the occurrences of a recurrence in a period, starting from date
+         * Rather than replaying the recurrence from its start, the rule jumps straight to the period
+         * just before the required one, so the cost does not grow with the age of the recurrence
+         * @param {Date} date  Starting date of recurrence
+         * @param {Date} from  Start of the period (included)
+         * @param {Date} to    End of the period (excluded)
+         * @returns {Array}    The occurrence dates in order
+         */
+        $EventRecurrence.getRecurrenceDates = function (date, from, to) {
+            var dates = [];
+            if ((!date) || (!from) || (!to)) {
+                return dates;
+            }
+
+            _ruleDate = _getFirstRecurrenceDate(date);
+            _anchorDate = _ruleDate ? _ruleDate.clone() : null;
+            if (_ruleDate) {
+                var periods = _getPeriodsBefore(from);
+                _ruleDate = _jumpToPeriod(periods);
+                // A jump to a period without a matching day is walked from the period before
+                while (!_ruleDate && (periods > 0)) {
+                    periods -= 1;
+                    _ruleDate = _jumpToPeriod(periods);
+                }
+                if (_ruleDate && _isPastEnd(_ruleDate)) {
+                    _ruleDate = null;
+                }
+            }
+
+            while (_ruleDate && _ruleDate.isBefore(to)) {
+                if (!_ruleDate.isBefore(from) && !_isExcluded(_ruleDate)) {
+                    dates.push(new Date(_ruleDate));
+                }
+                _ruleDate = _getNextRuleDate(_ruleDate);
+            }
+            _ruleEnded = !_ruleDate;
+
+            // Merge in the added dates of the period
+            $.each(_getExtraDates(date), function (key, extraDate) {
+                if (extraDate.isBefore(from) || !extraDate.isBefore(to) || _isExcluded(extraDate)) {
+                    return;
+                }
+                for (var i = 0; i < dates.length; i += 1) {
+                    if (dates[i].equals(extraDate)) {
+                        return;
+                    }
+                }
+                dates.push(extraDate);
+            });
+
+            return dates.sort(function (aDate, bDate) {
+                return aDate - bDate;
+            });
+        };
+
+        /**
+         * Returns the next recurrence date in the series, starting from date
+         * The rule dates and the added dates (rdate) are merged, the dates taken out (exdate) are skipped
+         * @param {Date} date Starting date of recurrence
+         * @returns {Date}
+         */
+        $EventRecurrence.getNextRecurrenceDate = function (date) {
+            if (!date) {
+                return null;
+            }
+
+            var recurDate = date;
+            do {
+                // Only move the rule on if date is not an added date falling before the next rule date
+                if (!_ruleEnded && (!_ruleDate || !_ruleDate.isAfter(recurDate))) {
+                    _ruleDate = _getNextRuleDate(recurDate);
+                    _ruleEnded = !_ruleDate;
+                }
+                recurDate = _getEarliestDate(_ruleDate, _getExtraDateAfter(recurDate));
+            } while (recurDate && _isExcluded(recurDate));
+
+            return recurDate ? new Date(recurDate) : null;
+        };
+
         _initialise();
     }
 
     /**
-     * Simple DTO type object to contain details of an event
+     * Simple DTO type object to contain details of an event (its dates being moments)
      * @constructor
      */
     function EventInstance() {
@@ -244,16 +1208,21 @@ if (typeof DEBUG === 'undefined') {
         $EventInstance.classEvent = null;
         $EventInstance.classTitle = null;
         $EventInstance.classDescription = null;
+        $EventInstance.originalDate = null;
+        $EventInstance.recurring = false;
     }
 
     /**
      * EventItem - defines a calendar event
+     * The dates of the event are kept as wall clock dates of the venue, like the ones of its recurrence
+     * (see _getWallTime), and the instances it returns have moments
      * @param {object} event               JSON object defining the event properties
      * @param {string=} dateFormat         Date format used for the event dates [Optional]
      * @param {function(string)=} onError  Function to call should an error occur [Optional]
+     * @param {string=} timeZone           Time zone of the venue, nothing for the browser time zone [Optional]
      * @constructor
      */
-    function EventItem(event, dateFormat, onError) {
+    function EventItem(event, dateFormat, onError, timeZone) {
         var $EventItem = this;
         var _index = 0;
         var _error = false;
@@ -270,33 +1239,79 @@ if (typeof DEBUG === 'undefined') {
         $EventItem.classEvent = null;
         $EventItem.classTitle = null;
         $EventItem.classDescription = null;
+        $EventItem.exceptions = [];
 
-        var _MS_PER_DAY = 1000 * 60 * 60 * 24;
+        /**
+         * Returns the exception defined for an occurrence of the event
+         * @param  {Date} occurrenceDate  The date of the occurrence in the recurrence
+         * @return {object}               The exception or null if the occurrence has not been changed
+         * @private
+         */
+        var _getException = function (occurrenceDate) {
+            for (var i = 0; i < $EventItem.exceptions.length; i += 1) {
+                var exception = $EventItem.exceptions[i];
+                // An exception without a time matches the whole day
+                var dateToCheck = _isWallDay(exception.originalDate) ? _getWallDay(occurrenceDate) : occurrenceDate;
+                if (exception.originalDate.equals(dateToCheck)) {
+                    return exception;
+                }
+            }
+            return null;
+        };
 
         /**
-         * Returns the difference (in days) between two dates ignoring daylight savings
-         * @param  {Date} aDate   The date to compare to
-         * @param  {Date} bDate   The date to compate with
-         * @return {number}       The number of days between the two dates
+         * Creates the instance of the event for an occurrence, applying its exception if any
+         * @param  {Date} occurrenceDate    The date of the occurrence in the recurrence
+         * @param  {object=} exception      The exception of this occurrence [Optional]
+         * @return {EventInstance}
          * @private
          */
-        var _dateDiffInDays = function (aDate, bDate) {
-            // Discard the time and time-zone information.
-            var utc1 = Date.UTC(aDate.getFullYear(), aDate.getMonth(), aDate.getDate());
-            var utc2 = Date.UTC(bDate.getFullYear(), bDate.getMonth(), bDate.getDate());
+        var _createEventInstance = function (occurrenceDate, exception) {
+            var dateDifference = _wallDateDiffInDays($EventItem.startDate, occurrenceDate);
+            var ei = new EventInstance();
+            ei.id = $EventItem.id;
+            ei.startDate = occurrenceDate;
+            ei.endDate = _addWallDays(new Date($EventItem.endDate), dateDifference);
+            ei.listingStartOffset = $EventItem.listingStartOffset;
+            ei.listingNumberOfDays = $EventItem.listingNumberOfDays;
+            ei.title = $EventItem.title;
+            ei.description = $EventItem.description;
+            ei.url = $EventItem.url;
+            ei.classEvent = $EventItem.classEvent;
+            ei.classTitle = $EventItem.classTitle;
+            ei.classDescription = $EventItem.classDescription;
+            ei.originalDate = new Date(occurrenceDate);
+            ei.recurring = ($EventItem.recurrence.type !== 'none');
+
+            if (exception) {
+                if (exception.startDate) {
+                    ei.endDate = exception.endDate ? exception.endDate.clone() : (new Date(exception.startDate)).addMilliseconds(ei.endDate - ei.startDate);
+                    ei.startDate = exception.startDate.clone();
+                } else if (exception.endDate) {
+                    ei.endDate = exception.endDate.clone();
+                }
+                $.each(['title', 'description', 'url', 'classEvent', 'classTitle', 'classDescription'], function (key, property) {
+                    if (exception[property] !== undefined) {
+                        ei[property] = exception[property];
+                    }
+                });
+            }
 
-            return Math.floor((utc2 - utc1) / _MS_PER_DAY);
+            ei.startDate = _fromWallTime(ei.startDate.getTime(), timeZone);
+            ei.endDate = _fromWallTime(ei.endDate.getTime(), timeZone);
+            ei.originalDate = _fromWallTime(ei.originalDate.getTime(), timeZone);
+            return ei;
         };
 
         /**
          * Gets the recurrence for this event (if no recurrence, returns the event)
+         * Cancelled occurrences are skipped, changed ones are returned with their own dates and details
          * @param  {number=} year    The year to constrain the events to (All Years=-1) [Optional]
          * @param  {number=} month   The month to constrain the events to (Jan=0, All Months=-1) [Optional]
          * @return {EventInstance}   The first instance of the event
          * @private
          */
         var _getEvent = function (year, month) {
-            var eventEndDate;
             if (_index < 0) {
                 _index = 0;
             }
@@ -305,41 +1320,26 @@ if (typeof DEBUG === 'undefined') {
             }
             var specificYear = (year !== undefined) ? year : -1;
             var specificMonth = (month !== undefined) ? month : -1;
+            var periodIsConstrained = (specificYear >= 0 || specificMonth >= 0);
 
             // Get initial event dates
-            var eventStartDate = $EventItem.recurrence.getRecurrenceDate($EventItem.startDate, _index);
-            if (eventStartDate) {
-                var dateDifference = _dateDiffInDays($EventItem.startDate, eventStartDate);
-                eventEndDate = (new Date($EventItem.endDate)).addDays(dateDifference);
-
-                // Check event dates are within required period
-                if (eventStartDate && (specificYear >= 0 || specificMonth >= 0)) {
-                    while (!EventItem.datePeriodIsCurrent(eventStartDate, eventEndDate, specificYear, specificMonth)) {
-                        eventStartDate = $EventItem.recurrence.getNextRecurrenceDate(eventStartDate);
-                        if (!eventStartDate) {
-                            break;
-                        }
-                        dateDifference = _dateDiffInDays($EventItem.startDate, eventStartDate);
-                        eventEndDate = (new Date($EventItem.endDate)).addDays(dateDifference);
+            var ei = null;
+            var occurrenceDate = $EventItem.recurrence.getRecurrenceDate($EventItem.startDate, _index);
+            while (occurrenceDate) {
+                var exception = _getException(occurrenceDate);
+                if (!exception || !exception.cancelled) {
+                    ei = _createEventInstance(occurrenceDate, exception);
+
+                    // Check event dates are within required period
+                    if (!periodIsConstrained || EventItem.datePeriodIsCurrent(_getZoneDay(ei.startDate, timeZone), _getZoneDay(ei.endDate, timeZone), specificYear, specificMonth)) {
+                        break;
                     }
+                    ei = null;
+                } else if (!periodIsConstrained) {
+                    // Keep the index in step with the recurrence when skipping a cancelled occurrence
+                    _index += 1;
                 }
-            }
-
-            // Create return object
-            var ei = null;
-            if (eventStartDate) {
-                ei = new EventInstance();
-                ei.id = $EventItem.id;
-                ei.startDate = eventStartDate;
-                ei.endDate = eventEndDate;
-                ei.listingStartOffset = $EventItem.listingStartOffset;
-                ei.listingNumberOfDays = $EventItem.listingNumberOfDays;
-                ei.title = $EventItem.title;
-                ei.description = $EventItem.description;
-                ei.url = $EventItem.url;
-                ei.classEvent = $EventItem.classEvent;
-                ei.classTitle = $EventItem.classTitle;
-                ei.classDescription = $EventItem.classDescription;
+                occurrenceDate = $EventItem.recurrence.getNextRecurrenceDate(occurrenceDate);
             }
 
             return ei;
@@ -362,6 +1362,7 @@ if (typeof DEBUG === 'undefined') {
             $EventItem.classEvent = null;
             $EventItem.classTitle = null;
             $EventItem.classDescription = null;
+            $EventItem.exceptions = [];
         };
 
         /**
@@ -378,8 +1379,8 @@ if (typeof DEBUG === 'undefined') {
         };
 
         /**
-         * Creates a new date object from the date argument
-         * @param {Date|number|string} date  Date to be converted to a "real boy"
+         * Creates a new wall clock date from the date argument
+         * @param {Date|number|string} date  Date to be converted to a "real boy" (a date object being a moment)
          * @param {string=} dateFormat       Date format used for the event dates [Optional]
          * @returns {Date}                   Date object representing date argument
          * @private
@@ -389,19 +1390,7 @@ if (typeof DEBUG === 'undefined') {
                 return null;
             }
 
-            var newDate = null;
-            if (typeof date === "object" && date.getMonth) {
-                newDate = date.clone();
-            } else if (typeof date === 'number') {
-                newDate = new Date(date);
-            } else if ((typeof date === 'string') && dateFormat) {
-                newDate = (dateFormat.toLowerCase() === 'timestamp') ? new Date(parseInt(date, 10)) : Date.parseExact(date, dateFormat);
-            }
-            if (!newDate) {
-                newDate = Date.parse(date);
-            }
-
-            return newDate;
+            return _toWallDate(date, dateFormat, timeZone);
         };
 
         /**
@@ -415,7 +1404,7 @@ if (typeof DEBUG === 'undefined') {
                 return;
             }
 
-            $EventItem.recurrence = new EventRecurrence(event.recurrence, dateFormat);
+            $EventItem.recurrence = new EventRecurrence(event.recurrence, dateFormat, event.recurrence ? onError : undefined, timeZone);
 
             $EventItem.id = event.id;
 
@@ -424,7 +1413,7 @@ if (typeof DEBUG === 'undefined') {
             if (!$EventItem.startDate) {
                 $EventItem.startDate = event.date ? _newDate(event.date, dateFormat) : null;
             }
-            $EventItem.endDate = event.endDate ? _newDate(event.endDate, dateFormat) : _newDate($EventItem.startDate);
+            $EventItem.endDate = event.endDate ? _newDate(event.endDate, dateFormat) : ($EventItem.startDate && $EventItem.startDate.clone());
             $EventItem.listingStartOffset = event.listingStartOffset || 0;
             $EventItem.listingNumberOfDays = event.listingNumberOfDays || 1;
 
@@ -435,6 +1424,23 @@ if (typeof DEBUG === 'undefined') {
             $EventItem.classEvent = event.classEvent;
             $EventItem.classTitle = event.classTitle;
             $EventItem.classDescription = event.classDescription || event.type;
+
+            $.each(event.exceptions || [], function (key, exception) {
+                var originalDate = exception ? _newDate(exception.originalDate, dateFormat) : null;
+                if (!originalDate) {
+                    // Leave the event as it is, only this exception is ignored
+                    if (onError) {
+                        onError("Invalid exception date: " + (exception ? exception.originalDate : exception));
+                    }
+                    return;
+                }
+                $EventItem.exceptions.push($.extend({}, exception, {
+                    originalDate: originalDate,
+                    cancelled: !!exception.cancelled,
+                    startDate: exception.startDate ? _newDate(exception.startDate, dateFormat) : null,
+                    endDate: exception.endDate ? _newDate(exception.endDate, dateFormat) : null
+                }));
+            });
         };
 
         /**
@@ -459,6 +1465,62 @@ if (typeof DEBUG === 'undefined') {
             return _getEvent(year, month);
         };
 
+        /**
+         * Gets all the instances of this event taking place (even partly) in a period
+         * Cancelled occurrences are skipped, changed ones are returned with their own dates and details
+         * @param  {Date} from  Start of the period (included), a moment
+         * @param  {Date} to    End of the period (excluded), a moment
+         * @return {Array}      The instances of the event (EventInstance) in start date order
+         */
+        $EventItem.getEventInstances = function (from, to) {
+            var eventInstances = [];
+            if ((!$EventItem.recurrence) || (!$EventItem.startDate)) {
+                return eventInstances;
+            }
+
+            var _isInPeriod = function (ei) {
+                return ei.startDate.isBefore(to) && !ei.endDate.isBefore(from);
+            };
+
+            // The recurrence is searched on the wall clock, events starting before the period can last into it
+            var wallTo = new Date(_getWallTime(to, timeZone));
+            var searchFrom = _addWallDays(new Date(_getWallTime(from, timeZone) + ($EventItem.startDate - $EventItem.endDate)), -1);
+            $.each($EventItem.recurrence.getRecurrenceDates($EventItem.startDate, searchFrom, wallTo), function (key, occurrenceDate) {
+                var exception = _getException(occurrenceDate);
+                if (!exception || !exception.cancelled) {
+                    var ei = _createEventInstance(occurrenceDate, exception);
+                    if (_isInPeriod(ei)) {
+                        eventInstances.push(ei);
+                    }
+                }
+            });
+
+            // Occurrences moved into the period from outside of it
+            $.each($EventItem.exceptions, function (key, exception) {
+                if (exception.cancelled || (!exception.startDate)) {
+                    return;
+                }
+                var occurrenceFrom = exception.originalDate;
+                var occurrenceTo = _isWallDay(exception.originalDate) ? _addWallDays(occurrenceFrom.clone(), 1) : occurrenceFrom.clone().addSeconds(1);
+                if (occurrenceTo.isAfter(searchFrom) && occurrenceFrom.isBefore(wallTo)) {
+                    // Already looked at above
+                    return;
+                }
+                $.each($EventItem.recurrence.getRecurrenceDates($EventItem.startDate, occurrenceFrom, occurrenceTo), function (key, occurrenceDate) {
+                    if (_getException(occurrenceDate) === exception) {
+                        var ei = _createEventInstance(occurrenceDate, exception);
+                        if (_isInPeriod(ei)) {
+                            eventInstances.push(ei);
+                        }
+                    }
+                });
+            });
+
+            return eventInstances.sort(function (aInstance, bInstance) {
+                return aInstance.startDate - bInstance.startDate;
+            });
+        };
+
         _initialise();
     }
 
@@ -547,6 +1609,10 @@ if (typeof DEBUG === 'undefined') {
         var $element = $(element);
         var slideDistance = "300";
         var eventsJson = {};
+        var blackoutPeriods = [];
+        var blackoutsLoaded = {};
+        var eventsCache = {};
+        var currentRequests = {};
 
 
         var showError = function (msg) {
@@ -558,6 +1624,192 @@ if (typeof DEBUG === 'undefined') {
                     "</span>");
         };
 
+        /**
+         * Tells the user about a failed rest call: calls the onError setting, then shows a banner above the events list
+         * unless onError returns false
+         * @param {object} error          The error the rest promise was rejected with {type, message, status}
+         * @param {object=} $container    The element to show the banner in (defaults to the events list) [Optional]
+         * @private
+         */
+        var _showRestError = function (error, $container) {
+            error = $.extend({type: 'server', message: ''}, error);
+            $element.find('.bookingCalendar-loading').finish().hide();
+            if ((typeof $EventCalendar.settings.onError === 'function') && ($EventCalendar.settings.onError(error) === false)) {
+                return;
+            }
+
+            var text = $EventCalendar.settings['textError' + error.type.charAt(0).toUpperCase() + error.type.substr(1)] || $EventCalendar.settings.textErrorServer;
+            $element.find('.js-error-banner').remove();
+            $("<p class='bookingCalendar-errorBanner js-error-banner'></p>")
+                .text(text + (error.message ? ' (' + error.message + ')' : ''))
+                .prependTo($container || $element.find('.bookingCalendar-list-wrap'));
+        };
+
+        /**
+         * Reports the errors found in the event data (e.g. an unsupported recurrence) in debug mode
+         * @param {string} msg  Error message
+         * @private
+         */
+        var _logEventError = function (msg) {
+            if (DEBUG) {
+                console.log("Event error: " + msg);
+            }
+        };
+
+        /**
+         * Formats a moment the way the events data is sent to the server
+         * (timestamps are moments, the text dates are in the venue time)
+         * @param {Date} date  The moment to format
+         * @returns {string|number}
+         * @private
+         */
+        var _formatEventDate = function (date) {
+            if ($EventCalendar.settings.jsonDateFormat.toLowerCase() === 'timestamp') {
+                return date.getTime();
+            }
+            // Built from the wall clock time, which a browser DST change can't move
+            return new Date(_getWallTime(date, $EventCalendar.settings.timeZone)).toISOString().substr(0, 19).replace('T', ' ');
+        };
+
+        /**
+         * Converts a date of the data sent by the server (or the settings) to a moment
+         * @param {Date|number|string} date  Date to be converted
+         * @returns {Date}                   The moment or null if the date is invalid
+         * @private
+         */
+        var _parseDataDate = function (date) {
+            var wallDate = date ? _toWallDate(date, $EventCalendar.settings.jsonDateFormat, $EventCalendar.settings.timeZone) : null;
+            return wallDate ? _fromWallTime(wallDate.getTime(), $EventCalendar.settings.timeZone) : null;
+        };
+
+        /**
+         * Converts blackouts data to blackout periods. A blackout without an end date takes out its whole start day,
+         * and an end date without a time takes out the whole end day
+         * @param {Array} blackouts         The blackouts data: {startDate, endDate, reason, categoryId}
+         * @param {string=} categoryId      The category the blackouts were loaded for [Optional]
+         * @returns {Array}                 The blackout periods: {startDate, endDate (excluded) as moments, reason, categoryId}
+         * @private
+         */
+        var _parseBlackouts = function (blackouts, categoryId) {
+            var blackoutPeriods = [];
+            var dateFormat = $EventCalendar.settings.jsonDateFormat;
+            var timeZone = $EventCalendar.settings.timeZone;
+            $.each(blackouts || [], function (key, blackout) {
+                var startDate = blackout ? _toWallDate(blackout.startDate, dateFormat, timeZone) : null;
+                var endDate = blackout ? _toWallDate(blackout.endDate || blackout.startDate, dateFormat, timeZone) : null;
+                if (!startDate || !endDate) {
+                    _logEventError("Invalid blackout dates: " + (blackout ? blackout.startDate + ' - ' + blackout.endDate : blackout));
+                    return;
+                }
+                if (_isWallDay(endDate)) {
+                    _addWallDays(endDate, 1);
+                }
+                blackoutPeriods.push({
+                    startDate: _fromWallTime(startDate.getTime(), timeZone),
+                    endDate: _fromWallTime(endDate.getTime(), timeZone),
+                    reason: blackout.reason || '',
+                    categoryId: ((blackout.categoryId !== undefined) && (blackout.categoryId !== null)) ? blackout.categoryId : categoryId
+                });
+            });
+            return blackoutPeriods;
+        };
+
+        /**
+         * Loads the blackouts of a month through the rest getBlackouts call (once for each category and month),
+         * when the restBlackouts setting is on
+         * @param {number} year                 The year to get the blackouts for
+         * @param {number} month                The month to get the blackouts for (Jan=0)
+         * @param {string|boolean} categoryId   The category to get the blackouts for
+         * @param {function()} callback         Called once the blackouts are loaded
+         * @private
+         */
+        var _loadBlackouts = function (year, month, categoryId, callback) {
+            var rest = $EventCalendar.settings.rest;
+            var monthKey = categoryId + '-' + year + '-' + month;
+            if (!$EventCalendar.settings.restBlackouts || !rest || (typeof rest.getBlackouts !== 'function') || blackoutsLoaded[monthKey]) {
+                callback();
+                return;
+            }
+
+            rest.getBlackouts(categoryId, year, month).done(function (data) {
+                blackoutsLoaded[monthKey] = true;
+                blackoutPeriods = blackoutPeriods.concat(_parseBlackouts(data, categoryId || undefined));
+                callback();
+            }).fail(function (error) {
+                // The events are shown all the same
+                _showRestError(error);
+                callback();
+            });
+        };
+
+        /**
+         * Returns the blackout periods of a category
+         * @param {string=} categoryId  The category (defaults to the categoryId setting) [Optional]
+         * @returns {Array}
+         * @private
+         */
+        var _getBlackouts = function (categoryId) {
+            if (categoryId === undefined) {
+                categoryId = $EventCalendar.settings.categoryId;
+            }
+            return $.grep(blackoutPeriods, function (blackout) {
+                return (blackout.categoryId === undefined) || (blackout.categoryId === false) || (!!categoryId && (String(blackout.categoryId) === String(categoryId)));
+            });
+        };
+
+        /**
+         * Returns the blackouts taking place during a period
+         * @param {Date} startDate      Start of the period (a moment)
+         * @param {Date} endDate        End of the period (excluded)
+         * @param {string=} categoryId  The category (defaults to the categoryId setting) [Optional]
+         * @returns {Array}
+         * @private
+         */
+        var _getBlackoutsDuring = function (startDate, endDate, categoryId) {
+            return $.grep(_getBlackouts(categoryId), function (blackout) {
+                return (blackout.startDate < endDate) && (blackout.endDate > startDate);
+            });
+        };
+
+        /**
+         * Marks the days of the month grid with blackouts: the 'blackout' class and the reasons as a tooltip, plus the 'partial'
+         * class when the blackouts leave some opening hours. In booking mode the days blacked out for good can't be clicked.
+         * @private
+         */
+        var _markBlackoutDays = function () {
+            $element.find('.currentMonth .js-calendar-day').each(function () {
+                var $day = $(this);
+                var dayStartDate = _getZoneDayTime($day.data('date'), 0, $EventCalendar.settings.timeZone);
+                var dayEndDate = _getZoneDayTime($day.data('date'), 1440, $EventCalendar.settings.timeZone);
+                var blackouts = _getBlackoutsDuring(dayStartDate, dayEndDate);
+
+                $day.removeClass('blackout partial').removeAttr('title');
+                if (!blackouts.length) {
+                    return;
+                }
+
+                var reasons = [];
+                $.each(blackouts, function (key, blackout) {
+                    if (blackout.reason && ($.inArray(blackout.reason, reasons) < 0)) {
+                        reasons.push(blackout.reason);
+                    }
+                });
+
+                // The day is blacked out for good if each of its opening hours is inside a blackout
+                var intervals = _getOpeningIntervals($day.data('date'));
+                var wholeDay = !$.grep(intervals.length ? intervals : [[dayStartDate, dayEndDate]], function (interval) {
+                    return !$.grep(blackouts, function (blackout) {
+                        return (blackout.startDate <= interval[0]) && (blackout.endDate >= interval[1]);
+                    }).length;
+                }).length;
+
+                $day.addClass('blackout').toggleClass('partial', !wholeDay).attr('title', reasons.join(', '));
+                if (wholeDay && $EventCalendar.settings.bookingMode) {
+                    $day.addClass('closed');
+                }
+            });
+        };
+
         /**
          * Resize calendar width on window resize
          * @private
@@ -583,6 +1835,11 @@ if (typeof DEBUG === 'undefined') {
                     var top = e.clientY + $(window).scrollTop();
                     if (($(this).offset().left < e.clientX) && (e.clientX < ($(this).offset().left + $(this).width()))) {
                         if (($(this).offset().top < top) && (top < ($(this).offset().top + $(this).height()))) {
+                            // Events can't be moved to a day blacked out for good
+                            if ($(this).hasClass('blackout') && !$(this).hasClass('partial')) {
+                                $overDay = false;
+                                return;
+                            }
                             $overDay = $(this);
                             if (window.$dndMovedElement) {
                                 $overDay.addClass('active').siblings().removeClass('active');
@@ -593,10 +1850,39 @@ if (typeof DEBUG === 'undefined') {
             }).mouseup(function() {
                 if (window.$dndMovedElement) {
                     if ($overDay) {
-                        $EventCalendar.api.updateEvent(
-                            window.$dndMovedElement.data('id'),
-                            {'date': $overDay.data('date')}
-                        );
+                        var $movedItem = window.$dndMovedElement;
+                        var $targetDay = $overDay;
+                        var targetHadEvents = $targetDay.hasClass('dayWithEvents');
+                        var originalDate = $movedItem.data('original-date');
+                        var request;
+                        if (originalDate) {
+                            // Only move this occurrence of a recurring event
+                            request = $EventCalendar.api.updateEventOccurrence(
+                                $movedItem.data('id'),
+                                originalDate,
+                                {'date': $targetDay.data('date')}
+                            );
+                        } else {
+                            request = $EventCalendar.api.updateEvent(
+                                $movedItem.data('id'),
+                                {'date': $targetDay.data('date')}
+                            );
+                        }
+
+                        // The move is shown straight away, and undone should the server refuse it
+                        // (an adapter answering without a promise is taken as agreeing)
+                        $movedItem.hide();
+                        $targetDay.addClass('dayWithEvents');
+                        $.when(request).done(function () {
+                            _invalidateEventsCache([
+                                $targetDay.data('date'),
+                                new Date(parseInt($element.attr('data-current-year'), 10), parseInt($element.attr('data-current-month'), 10), 1)
+                            ]);
+                        }).fail(function (error) {
+                            $movedItem.show();
+                            $targetDay.toggleClass('dayWithEvents', targetHadEvents);
+                            _showRestError(error);
+                        });
                     }
                 }
 
@@ -604,13 +1890,444 @@ if (typeof DEBUG === 'undefined') {
             });
         };
 
-        var getEventsData = function (data, limit, year, month, day, direction, period) {
+        /**
+         * Returns true if any of the events (start and end date pairs) takes place during a period
+         * @param {Date} startDate        Start of the period
+         * @param {Date} endDate          End of the period
+         * @param {Array} eventsPeriods   The [startDate, endDate] pairs of the events
+         * @returns {boolean}
+         * @private
+         */
+        var _periodIntersectsEvents = function (startDate, endDate, eventsPeriods) {
+            return _countEventsDuring(startDate, endDate, eventsPeriods) > 0;
+        };
 
-            var directionLeftMove = "-=" + slideDistance;
-            var eventContentHeight = "auto";
-            var yearToCheck = (year !== '') ? parseInt(year, 10) : -1;
-            var monthToCheck = (month !== '') ? parseInt(month, 10) : -1;
-            var dayToCheck = (day !== '') ? parseInt(day, 10) : -1;
+        /**
+         * Returns the largest number of events taking place at the same time during a period
+         * @param {Date} startDate        Start of the period
+         * @param {Date} endDate          End of the period
+         * @param {Array} eventsPeriods   The [startDate, endDate] pairs of the events
+         * @returns {number}
+         * @private
+         */
+        var _countEventsDuring = function (startDate, endDate, eventsPeriods) {
+            var periodEvents = [];
+            var maxEvents = 0;
+            for (var i = 0; i < eventsPeriods.length; i++) {
+                var curEvent = eventsPeriods[i];
+                if ((curEvent[0] >= startDate && curEvent[0] < endDate) ||
+                    (curEvent[1] >= startDate && curEvent[1] < endDate) ||
+                    (curEvent[0] < startDate && curEvent[1] > startDate)) {
+                    periodEvents.push([curEvent[0] < startDate ? startDate : curEvent[0], curEvent[1]]);
+                }
+            }
+
+            // The events at the same time as the start of an event (the events without an end, or ending when the period
+            // starts, count at their start)
+            $.each(periodEvents, function (key, periodEvent) {
+                var eventsAtStart = $.grep(periodEvents, function (otherEvent) {
+                    return (otherEvent[0] <= periodEvent[0]) && ((otherEvent[1] > periodEvent[0]) || (otherEvent[0].valueOf() === periodEvent[0].valueOf()));
+                }).length;
+                maxEvents = Math.max(maxEvents, eventsAtStart);
+            });
+            return maxEvents;
+        };
+
+        /**
+         * Returns the opening hours of a day: the intervals of its week day in the businessHours setting,
+         * or the start and end times when there is no such setting
+         * @param {Date} date   The day to get the opening hours for
+         * @returns {Array}     The [startMinutes, endMinutes] pairs of the intervals, in minutes from midnight (empty on a closed day)
+         * @private
+         */
+        var _getOpeningMinutes = function (date) {
+            var businessHours = $EventCalendar.settings.businessHours;
+            var intervals = businessHours ? (businessHours[date.getDay()] || []) : [[$EventCalendar.settings.startTime, $EventCalendar.settings.endTime]];
+
+            return $.map(intervals, function (interval) {
+                return [[_getMinutesOfDay(interval[0]), _getMinutesOfDay(interval[1])]];
+            });
+        };
+
+        /**
+         * Returns the opening hours of a day as moments (see _getOpeningMinutes)
+         * @param {Date} date   The day to get the opening hours for
+         * @returns {Array}     The [startDate, endDate] pairs of the intervals (empty on a closed day)
+         * @private
+         */
+        var _getOpeningIntervals = function (date) {
+            var timeZone = $EventCalendar.settings.timeZone;
+            return $.map(_getOpeningMinutes(date), function (interval) {
+                return [[_getZoneDayTime(date, interval[0], timeZone), _getZoneDayTime(date, interval[1], timeZone)]];
+            });
+        };
+
+        /**
+         * Returns the current day of the venue (the day of the timeZone setting, or the browser one)
+         * @returns {Date}
+         * @private
+         */
+        var _getToday = function () {
+            return _getZoneDay(new Date(), $EventCalendar.settings.timeZone);
+        };
+
+        /**
+         * Returns true if a booking can start at a moment: not in the past nor sooner than the minNotice setting
+         * (a negative one counting as none), and not later than the maxAdvance setting
+         * @param {Date} date  The moment the booking starts
+         * @returns {boolean}
+         * @private
+         */
+        var _isInBookingWindow = function (date) {
+            var now = new Date();
+            // The notice is counted in real minutes, whatever the DST changes on the way
+            if (date.getTime() < now.getTime() + Math.max($EventCalendar.settings.minNotice || 0, 0) * 60000) {
+                return false;
+            }
+            return !$EventCalendar.settings.maxAdvance || (date <= now.clone().addDays($EventCalendar.settings.maxAdvance));
+        };
+
+        /**
+         * Returns the number of places left in a slot taking several bookings, as a text
+         * @param {object} daySlot  The slot (see _getDaySlots)
+         * @returns {string}        The text, empty for a slot taking a single booking or which can't be booked
+         * @private
+         */
+        var _getSlotPlacesText = function (daySlot) {
+            if ((daySlot.capacity < 2) || daySlot.closed || daySlot.disabled) {
+                return '';
+            }
+            return daySlot.places + ' ' + $EventCalendar.settings.textPlacesLeft;
+        };
+
+        /**
+         * Returns the browser time of a booking moment as a text, for the showLocalTime setting
+         * @param {Date} date  The moment
+         * @returns {string}   The text, empty when the browser time is the venue time
+         * @private
+         */
+        var _getLocalTimeText = function (date) {
+            var timeZone = $EventCalendar.settings.timeZone;
+            if (!$EventCalendar.settings.showLocalTime || !timeZone) {
+                return '';
+            }
+            var wallDate = new Date(_getWallTime(date, timeZone));
+            var localWallTime = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours(), date.getMinutes(), date.getSeconds(), date.getMilliseconds());
+            if (localWallTime === wallDate.getTime()) {
+                return '';
+            }
+            var format = $EventCalendar.settings.timeFormat;
+            if ((date.getFullYear() !== wallDate.getUTCFullYear()) || (date.getMonth() !== wallDate.getUTCMonth()) || (date.getDate() !== wallDate.getUTCDate())) {
+                format = $EventCalendar.settings.weekDayFormat + ' ' + format;
+            }
+            return date.toString(format) + ' ' + $EventCalendar.settings.textLocalTime;
+        };
+
+        /**
+         * Returns true if a day has slots which can be booked, leaving its events aside
+         * @param {Date} date  The day
+         * @returns {boolean}
+         * @private
+         */
+        var _hasBookableSlots = function (date) {
+            return !!$.grep(_getDaySlots(date, $EventCalendar.currentPeriod || 60, []), function (daySlot) {
+                return !daySlot.disabled;
+            }).length;
+        };
+
+        /**
+         * Returns a setting of a category: its value in categoriesForBooking, or the plugin setting
+         * @param {string} name         The name of the setting
+         * @param {string=} categoryId  The category (defaults to the categoryId setting) [Optional]
+         * @returns {*}
+         * @private
+         */
+        var _getCategorySetting = function (name, categoryId) {
+            var value = $EventCalendar.settings[name];
+            if (categoryId === undefined) {
+                categoryId = $EventCalendar.settings.categoryId;
+            }
+
+            $.each($EventCalendar.settings.categoriesForBooking || [], function (key, category) {
+                if (categoryId && (String(category.code) === String(categoryId)) && (category[name] !== undefined)) {
+                    value = category[name];
+                }
+            });
+            return value;
+        };
+
+        /**
+         * Returns the setup and teardown times blocked around each booking of a category: its bufferBefore and
+         * bufferAfter in categoriesForBooking, or the bufferBefore and bufferAfter settings
+         * @param {string=} categoryId  The category (defaults to the categoryId setting) [Optional]
+         * @returns {{before: number, after: number}}   The buffers in minutes
+         * @private
+         */
+        var _getBuffers = function (categoryId) {
+            return {
+                before: _getCategorySetting('bufferBefore', categoryId) || 0,
+                after: _getCategorySetting('bufferAfter', categoryId) || 0
+            };
+        };
+
+        /**
+         * Returns the booking slots of a day: the slots of each of its opening intervals
+         * @param {Date} date             The day to get the slots for
+         * @param {number} period         The length of a slot in minutes
+         * @param {Array} eventsPeriods   The [startDate, endDate] moments of the events of the day
+         * @param {string=} categoryId    The category to get the slots for, whose blackouts leave out slots and whose buffers
+         *                                extend the events (defaults to the categoryId setting) [Optional]
+         * @returns {Array}               The slots: {date: moment the slot starts, endDate: moment it ends, minutes: venue time
+         *                                it starts at in minutes from midnight, closed: true if the events fill the capacity of the slot,
+         *                                disabled: true if out of the minNotice and maxAdvance booking window,
+         *                                capacity: number of bookings the slot takes, places: number of bookings left}
+         * @private
+         */
+        var _getDaySlots = function (date, period, eventsPeriods, categoryId) {
+            var daySlots = [];
+            if (!(period > 0)) {
+                return daySlots;
+            }
+
+            var timeZone = $EventCalendar.settings.timeZone;
+            var dayStartDate = date.clone().clearTime();
+            var blackouts = _getBlackoutsDuring(_getZoneDayTime(dayStartDate, 0, timeZone), _getZoneDayTime(dayStartDate, 1440, timeZone), categoryId);
+
+            var capacity = _getCategorySetting('capacity', categoryId) || 1;
+
+            // The buffers around the bookings are blocked as well
+            var buffers = _getBuffers(categoryId);
+            if (buffers.before || buffers.after) {
+                eventsPeriods = $.map(eventsPeriods, function (eventPeriod) {
+                    return [[eventPeriod[0].clone().addMinutes(-buffers.before), eventPeriod[1].clone().addMinutes(buffers.after)]];
+                });
+            }
+
+            // The slots are worked out as moments from the venue wall clock times, which the DST changes of
+            // the browser can't move
+            // A day with a DST change doesn't last 24 hours, its slot times are checked one by one
+            var dstDay = !_isZoneDayTime(dayStartDate, 0, timeZone) || !_isZoneDayTime(dayStartDate, 1440, timeZone) ||
+                (_getZoneDayTime(dayStartDate, 1440, timeZone) - _getZoneDayTime(dayStartDate, 0, timeZone) !== _MS_PER_DAY);
+
+            // With businessHours the slots start at the opening of each interval and fit inside it, otherwise they
+            // keep their grid from midnight and start from the start time up to the end time
+            var businessHours = !!$EventCalendar.settings.businessHours;
+
+            $.each(_getOpeningMinutes(date), function (key, interval) {
+                var firstMinutes = businessHours ? interval[0] : Math.ceil(interval[0] / period) * period;
+                var lastMinutes = businessHours ? interval[1] - period : Math.min(interval[1], 1439);
+
+                // The slots follow the wall clock, so the repeated hour of a DST change gives no extra slots,
+                // and the slots starting in the skipped hour are left out
+                for (var minutes = firstMinutes; minutes <= lastMinutes; minutes += period) {
+                    if (dstDay && !_isZoneDayTime(dayStartDate, minutes, timeZone)) {
+                        continue;
+                    }
+                    var slotStartDate = _getZoneDayTime(dayStartDate, minutes, timeZone);
+                    var slotEndDate = _getZoneDayTime(dayStartDate, minutes + period, timeZone);
+                    var blackedOut = $.grep(blackouts, function (blackout) {
+                        return (blackout.startDate < slotEndDate) && (blackout.endDate > slotStartDate);
+                    }).length;
+
+                    if (!blackedOut) {
+                        var places = capacity - _countEventsDuring(slotStartDate, slotEndDate, eventsPeriods);
+                        daySlots.push({
+                            date: slotStartDate,
+                            endDate: slotEndDate,
+                            minutes: minutes,
+                            closed: places <= 0,
+                            disabled: !_isInBookingWindow(slotStartDate),
+                            capacity: capacity,
+                            places: Math.max(places, 0)
+                        });
+                    }
+                }
+            });
+            return daySlots;
+        };
+
+        /**
+         * Returns the html of the list item of an event instance
+         * @param {EventInstance} eventInstance   The event instance to list
+         * @param {number|string} key             The id of the list item
+         * @param {string} activeClass            The class of a current event (if any)
+         * @returns {string}
+         * @private
+         */
+        var _getEventListItem = function (eventInstance, key, activeClass) {
+            var eventClass = eventInstance.classEvent ? eventInstance.classEvent : '';
+
+            var titleClass = ' class="eventTitle';
+            titleClass += eventInstance.classTitle ? ' ' + eventInstance.classTitle : '';
+            titleClass += activeClass ? ' ' + activeClass : '';
+            titleClass += '"';
+
+            var descriptionClass = ' class="eventDescription';
+            descriptionClass += eventInstance.classDescription ? ' ' + eventInstance.classDescription : '';
+            descriptionClass += (!$EventCalendar.settings.showDescription) ? ' hidden' : '';
+            descriptionClass += '"';
+
+            var eventLinkTarget = $EventCalendar.settings.openEventInNewWindow ? '_blank' : "_self";
+
+            var eventTitle;
+            if (eventInstance.url) {
+                eventTitle = '<a href="' + eventInstance.url + '" target="' + eventLinkTarget + '"' + titleClass + '>' + eventInstance.title + '</a>';
+            } else {
+                eventTitle = '<span' + titleClass + '>' + eventInstance.title + '</span>';
+            }
+
+            var originalDate = eventInstance.recurring ? ' data-original-date="' + _formatEventDate(eventInstance.originalDate) + '"' : '';
+
+            var cancelLink = '';
+            if (_isCancellable(eventInstance.id, eventInstance.startDate)) {
+                originalDate += ' data-start-date="' + _formatEventDate(eventInstance.startDate) + '"';
+                cancelLink = '<a href="#" class="eventCancel js-event-cancel">' + $EventCalendar.settings.textCancelEvent + '</a>';
+            }
+
+            return '<li data-id="' + eventInstance.id + '"' + originalDate + ' id="' + key + '" class="event-list-item js-event-list-item ' + eventClass + '">' + eventTitle + '<div' + descriptionClass + '>' + eventInstance.description + '</div>' + cancelLink + '</li>';
+        };
+
+        /**
+         * Returns true if a booking can still be cancelled (cancelBookings setting): it has not started,
+         * and it doesn't start within the cancellationCutoff (in real minutes, a negative one counting as none)
+         * @param {number|string} id   The id of the event
+         * @param {Date} startDate     The moment the booking starts
+         * @returns {boolean}
+         * @private
+         */
+        var _isCancellable = function (id, startDate) {
+            if (!$EventCalendar.settings.cancelBookings || !$EventCalendar.api || (id === undefined) || (id === null) || !startDate) {
+                return false;
+            }
+            return startDate.getTime() >= new Date().getTime() + Math.max($EventCalendar.settings.cancellationCutoff || 0, 0) * 60000;
+        };
+
+        /**
+         * Makes the cancel links of the events list items work. They are bound directly, as a list item
+         * which can be dragged and dropped keeps its clicks to itself
+         * @param {object} $list   The element holding the list items
+         * @private
+         */
+        var _initialiseCancelLinks = function ($list) {
+            $list.find('.js-event-cancel').off('.cancel')
+                .on('mousedown.cancel', function (e) {
+                    e.stopPropagation();
+                })
+                .on('click.cancel', function (e) {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    _showCancelConfirmation($(this).closest('.js-event-list-item'));
+                });
+        };
+
+        /**
+         * Asks for the confirmation of the cancellation of a booking, and its reason (optional), in its list item
+         * @param {object} $item   The list item of the booking
+         * @private
+         */
+        var _showCancelConfirmation = function ($item) {
+            var $confirm = $("<div class='eventCancelConfirm'><p class='eventCancelQuestion'></p>" +
+                "<input type='text' class='eventCancelReason js-cancel-reason' />" +
+                "<a href='#' class='eventCancelYes js-cancel-yes'></a> <a href='#' class='eventCancelNo js-cancel-no'></a></div>");
+            $confirm.find('.eventCancelQuestion').text($EventCalendar.settings.textCancelConfirm);
+            $confirm.find('.js-cancel-reason').attr('placeholder', $EventCalendar.settings.textCancelReason);
+            $confirm.find('.js-cancel-yes').text($EventCalendar.settings.textCancelYes);
+            $confirm.find('.js-cancel-no').text($EventCalendar.settings.textCancelNo);
+
+            $confirm.on('mousedown click', function (e) {
+                e.stopPropagation();
+            }).on('click', '.js-cancel-no', function (e) {
+                e.preventDefault();
+                $confirm.remove();
+                $item.find('.js-event-cancel').show();
+            }).on('click', '.js-cancel-yes', function (e) {
+                e.preventDefault();
+                // The cutoff may have been reached since the list was shown
+                if (!_isCancellable($item.attr('data-id'), _parseDataDate($item.attr('data-start-date')))) {
+                    $confirm.find('.eventCancelQuestion').text($EventCalendar.settings.textCancelTooLate);
+                    $confirm.find('.js-cancel-reason, .js-cancel-yes').remove();
+                    return;
+                }
+                _cancelBooking($item, $.trim($confirm.find('.js-cancel-reason').val()));
+            });
+
+            $item.find('.js-event-cancel').hide();
+            $item.append($confirm);
+        };
+
+        /**
+         * Cancels a booking through the rest adapter (cancelEvent, or deleteEvent when it has none, or a cancelled
+         * exception for an occurrence of a recurring event), and shows the slots it frees straight away in booking mode
+         * @param {object} $item     The list item of the booking
+         * @param {string} reason    Why the booking is cancelled (may be empty)
+         * @private
+         */
+        var _cancelBooking = function ($item, reason) {
+            var api = $EventCalendar.api;
+            var id = $item.attr('data-id');
+            var originalDate = $item.attr('data-original-date');
+            var request;
+            if (originalDate) {
+                request = api.updateEventOccurrence(id, originalDate, {'cancelled': true, 'reason': reason});
+            } else if (typeof api.cancelEvent === 'function') {
+                request = api.cancelEvent(id, reason);
+            } else {
+                request = api.deleteEvent(id);
+            }
+
+            // The booking is taken out straight away, and put back should the server refuse it
+            $item.hide();
+            $.when(request).done(function () {
+                $item.remove();
+                _forgetEvent(id, originalDate);
+                _invalidateEventsCache([_getZoneDay(_parseDataDate(originalDate || $item.attr('data-start-date')), $EventCalendar.settings.timeZone)]);
+                if ($EventCalendar.settings.bookingMode) {
+                    _refreshAvailability();
+                }
+            }).fail(function (error) {
+                $item.show().find('.eventCancelConfirm').remove();
+                $item.find('.js-event-cancel').show();
+                _showRestError(error);
+            });
+        };
+
+        /**
+         * Takes a cancelled booking (or one occurrence of it) out of the events data already loaded
+         * @param {number|string} id         The id of the event
+         * @param {string=} originalDate     The occurrence of a recurring event, as sent to the server [Optional]
+         * @private
+         */
+        var _forgetEvent = function (id, originalDate) {
+            var forget = function (events) {
+                if (!$.isArray(events)) {
+                    return events;
+                }
+                return $.map(events, function (event) {
+                    if (!event || (String(event.id) !== String(id))) {
+                        return event;
+                    }
+                    if (!originalDate) {
+                        return null;
+                    }
+                    return $.extend({}, event, {
+                        exceptions: (event.exceptions || []).concat([{originalDate: originalDate, cancelled: true}])
+                    });
+                });
+            };
+
+            eventsJson = forget(eventsJson);
+            if ($EventCalendar.settings.jsonData) {
+                $EventCalendar.settings.jsonData = forget($EventCalendar.settings.jsonData);
+            }
+        };
+
+        var getEventsData = function (data, limit, year, month, day, direction, period) {
+
+            var directionLeftMove = "-=" + slideDistance;
+            var eventContentHeight = "auto";
+            var yearToCheck = (year !== '') ? parseInt(year, 10) : -1;
+            var monthToCheck = (month !== '') ? parseInt(month, 10) : -1;
+            var dayToCheck = (day !== '') ? parseInt(day, 10) : -1;
 
             var subtitle = $element.find('.bookingCalendar-list-wrap .bookingCalendar-subtitle');
             if (!period) period = $EventCalendar.currentPeriod;
@@ -642,6 +2359,10 @@ if (typeof DEBUG === 'undefined') {
 
             $element.find('.bookingCalendar-list').css({'left': 0, 'height': 'auto'}).hide();
             $element.find('.dayWithEvents').removeClass('dayWithEvents');
+            _markBlackoutDays();
+            if ($EventCalendar.settings.nightlyBooking) {
+                _markNights(data);
+            }
 
             var events = [];
             var eventsInRoutine = [];
@@ -673,7 +2394,7 @@ if (typeof DEBUG === 'undefined') {
 
                 var itemsInList = 0;
                 $.each(data, function (key, event) {
-                    var eventItem = new EventItem(event, $EventCalendar.settings.jsonDateFormat);
+                    var eventItem = new EventItem(event, $EventCalendar.settings.jsonDateFormat, _logEventError, $EventCalendar.settings.timeZone);
 
                     // Add to calendar
                     $EventCalendar.addEventToCalendar(
@@ -690,28 +2411,7 @@ if (typeof DEBUG === 'undefined') {
                                 return false;
                             }
 
-                            var eventClass = eventInstance.classEvent ? eventInstance.classEvent : '';
-
-                            var titleClass = ' class="eventTitle';
-                            titleClass += eventInstance.classTitle ? ' ' + eventInstance.classTitle : '';
-                            titleClass += activeClass ? ' ' + activeClass : '';
-                            titleClass += '"';
-
-                            var descriptionClass = ' class="eventDescription';
-                            descriptionClass += eventInstance.classDescription ? ' ' + eventInstance.classDescription : '';
-                            descriptionClass += (!$EventCalendar.settings.showDescription) ? ' hidden' : '';
-                            descriptionClass += '"';
-
-                            var eventLinkTarget = $EventCalendar.settings.openEventInNewWindow ? '_blank' : "_self";
-
-                            var eventTitle;
-                            if (eventInstance.url) {
-                                eventTitle = '<a href="' + eventInstance.url + '" target="' + eventLinkTarget + '"' + titleClass + '>' + eventInstance.title + '</a>';
-                            } else {
-                                eventTitle = '<span' + titleClass + '>' + eventInstance.title + '</span>';
-                            }
-
-                            events.push('<li data-id="' + eventInstance.id + '" id="' + key + '" class="event-list-item js-event-list-item ' + eventClass + '">' + eventTitle + '<div' + descriptionClass + '>' + event.description + '</div></li>');
+                            events.push(_getEventListItem(eventInstance, key, activeClass));
                             eventsInRoutine.push([eventInstance.startDate, eventInstance.endDate]);
 
                             var onEventAddedToList = $EventCalendar.settings.onEventAddedToList;
@@ -741,48 +2441,35 @@ if (typeof DEBUG === 'undefined') {
 
             $element.find('.bookingCalendar-loading').finish().hide();
             $element.find('.bookingCalendar-list').empty();
+            var showDayTimeline = (direction === 'day') && ($EventCalendar.settings.dayView === 'timeline');
             if ($EventCalendar.settings.bookingMode && displayDate) {
-                var dayRoutineI;
-                var datePeriod = new Date(displayDate.valueOf());
-                var startTime = $EventCalendar.settings.startTime.split(':');
-                var endTime = $EventCalendar.settings.endTime.split(':');
-                var startDateTime = new Date(datePeriod.getFullYear(), datePeriod.getMonth(), datePeriod.getDate(), startTime[0], startTime[1], 0);
-                var endDateTime = new Date(datePeriod.getFullYear(), datePeriod.getMonth(), datePeriod.getDate(), endTime[0], endTime[1], 0);
-
-                for (dayRoutineI = 0; dayRoutineI < 1440; dayRoutineI += period) {
-                    datePeriod.addMinutes(period);
-
-                    if (datePeriod < startDateTime || datePeriod > endDateTime) continue;
-
-                    var datePeriodNext = new Date(datePeriod.valueOf());
-                    datePeriodNext.addMinutes(period);
-                    var isIntersectPeriod = false;
-                    for (var i = 0; i < eventsInRoutine.length; i++) {
-                        var curEvent = eventsInRoutine[i];
-                        if (curEvent[0] >= datePeriod && curEvent[0] < datePeriodNext) {
-                            isIntersectPeriod = true;
-                            break;
-                        }
-                        if (curEvent[1] >= datePeriod && curEvent[1] < datePeriodNext) {
-                            isIntersectPeriod = true;
-                            break;
+                var daySlots = _getDaySlots(displayDate, period, eventsInRoutine);
+                if (showDayTimeline) {
+                    $element.find('.bookingCalendar-list')
+                        .append($('<li class="bookingCalendar-timelineItem"></li>').append(_createDayTimeline(displayDate, data, daySlots, period)));
+                } else {
+                    $.each(daySlots, function (key, daySlot) {
+                        var $timeSlot = $('<li class="booking-link js-booking-link ' + (daySlot.closed || daySlot.disabled ? 'closed' : '') + (daySlot.disabled ? ' disabled' : '') + '">' + _timeFmt(Math.floor(daySlot.minutes / 60)) + ':' + _timeFmt(daySlot.minutes % 60) + '</li>');
+                        if (_getSlotPlacesText(daySlot)) {
+                            $timeSlot.append(' ', $('<span class="bookingPlaces"></span>').text(_getSlotPlacesText(daySlot)));
                         }
-                        if (curEvent[0] < datePeriod && curEvent[1] > datePeriod) {
-                            isIntersectPeriod = true;
-                            break;
+                        if (_getLocalTimeText(daySlot.date)) {
+                            $timeSlot.append(' ', $('<span class="bookingLocalTime"></span>').text('(' + _getLocalTimeText(daySlot.date) + ')'));
                         }
-                    }
+                        $timeSlot.data('date', daySlot.date).data('end-date', daySlot.endDate);
 
-                    var $timeSlot = $('<li class="booking-link js-booking-link ' + (isIntersectPeriod ? 'closed' : '') + '">' + _timeFmt(datePeriod.getHours()) + ':' + _timeFmt(datePeriod.getMinutes()) + '</li>');
-                    $timeSlot.data('date', new Date(datePeriod.valueOf()));
-
-                    $element.find('.bookingCalendar-list')
-                        .append($timeSlot);
+                        $element.find('.bookingCalendar-list')
+                            .append($timeSlot);
+                    });
                 }
+            } else if (showDayTimeline) {
+                $element.find('.bookingCalendar-list')
+                    .append($('<li class="bookingCalendar-timelineItem"></li>').append(_createDayTimeline(displayDate, data, [], period)));
             } else {
                 $element.find('.bookingCalendar-list').html(events.join(''));
 
                 _initializeDragNDrop();
+                _initialiseCancelLinks($element.find('.bookingCalendar-list'));
             }
 
             if ($EventCalendar.settings.collapsible) {
@@ -798,13 +2485,172 @@ if (typeof DEBUG === 'undefined') {
             _setCalendarWidth();
         };
 
-        var _getEvents = function (limit, year, month, day, direction) {
-            var maxLimit = limit || 0;
-            var specificYear = (typeof year === "number") ? year : $EventCalendar.settings.currentDate.getFullYear();
-            var specificMonth = (typeof month === "number") ? month : $EventCalendar.settings.currentDate.getMonth();
-            var specificDay = (typeof day === "number") ? day : -1;
+        /**
+         * Starts loading the data of a view, superseding the loading it was still waiting for: the requests of the
+         * previous one are aborted when they can be, and their answers are ignored anyway
+         * @param {string} view    The view the data is for ('events' for the month and day lists, 'week', 'resource', 'year')
+         * @returns {object}       The request, to give to _fetchEvents
+         * @private
+         */
+        var _startRequest = function (view) {
+            var previousRequest = currentRequests[view];
+            var request = {view: view, pending: []};
+            currentRequests[view] = request;
+            if (previousRequest) {
+                $.each(previousRequest.pending, function (key, pendingRequest) {
+                    pendingRequest.abort();
+                });
+            }
 
             $element.find('.bookingCalendar-loading').fadeIn();
+            return request;
+        };
+
+        /**
+         * Tells whether a request is still the latest one of its view (requests without a view always are)
+         * @param {object=} request    The request from _startRequest [Optional]
+         * @returns {boolean}
+         * @private
+         */
+        var _isCurrentRequest = function (request) {
+            return !request || (currentRequests[request.view] === request);
+        };
+
+        /**
+         * Hides the loading indicator once the latest request of a view has its data
+         * @param {object} request    The request from _startRequest
+         * @private
+         */
+        var _endRequest = function (request) {
+            if (_isCurrentRequest(request)) {
+                request.pending = [];
+                $element.find('.bookingCalendar-loading').finish().hide();
+            }
+        };
+
+        /**
+         * Loads events data through the rest adapter: the events, or only the busy periods in availability mode.
+         * With the restCache setting a whole month is loaded, and the promise kept for the days and views of the month
+         * until it is older than restCacheTime
+         * @param {number} year                 The year to get the events for
+         * @param {number} month                The month to get the events for (Jan=0)
+         * @param {number} day                  The day to get the events for (-1 for the whole month), unused with restCache
+         * @param {string|boolean} categoryId   The category to get the events for
+         * @returns {object}                    The promise of the events data
+         * @private
+         */
+        var _loadRestEvents = function (year, month, day, categoryId) {
+            var rest = $EventCalendar.settings.rest;
+            var availability = $EventCalendar.settings.bookingMode && $EventCalendar.settings.availability && (typeof rest.getAvailability === 'function');
+            var restCache = $EventCalendar.settings.restCache;
+            var cacheKey = [
+                availability ? 'availability-' + ($EventCalendar.currentPeriod || 60) : 'events',
+                categoryId,
+                $EventCalendar.settings.participantId,
+                year,
+                month
+            ].join('|');
+            var cached = eventsCache[cacheKey];
+            if (restCache && cached && (!$EventCalendar.settings.restCacheTime || (new Date().getTime() - cached.loadedAt < $EventCalendar.settings.restCacheTime * 60000))) {
+                return cached.request;
+            }
+            if (restCache) {
+                day = -1;
+            }
+
+            var request;
+            if (availability) {
+                // only the busy periods are loaded, without the details of the events
+                var rangeStartDate = new Date(year, month, (day > 0) ? day : 1, 0, 0, 0);
+                var rangeEndDate = (day > 0) ? rangeStartDate.clone().addDays(1) : rangeStartDate.clone().addMonths(1);
+                var availabilityRequest = rest.getAvailability(
+                    categoryId,
+                    _formatEventDate(_fromTimeZone(rangeStartDate, $EventCalendar.settings.timeZone)),
+                    _formatEventDate(_fromTimeZone(rangeEndDate, $EventCalendar.settings.timeZone)),
+                    $EventCalendar.currentPeriod || 60
+                );
+                request = availabilityRequest.then(function (busyPeriods) {
+                    return _getBusyEvents(busyPeriods, categoryId);
+                });
+                request.abort = availabilityRequest.abort;
+            } else {
+                request = rest.getEvents(categoryId, $EventCalendar.settings.participantId, year, month, day);
+            }
+
+            if (restCache) {
+                cached = {request: request, loadedAt: new Date().getTime()};
+                eventsCache[cacheKey] = cached;
+                request.fail(function () {
+                    // A failed month is asked for again next time
+                    if (eventsCache[cacheKey] === cached) {
+                        delete eventsCache[cacheKey];
+                    }
+                });
+            }
+            return request;
+        };
+
+        /**
+         * Loads the months before and after a month in the background (prefetchMonths setting), so that moving to them
+         * needs no waiting
+         * @param {number} year                 The year of the month shown
+         * @param {number} month                The month shown (Jan=0)
+         * @param {string|boolean} categoryId   The category of the events
+         * @private
+         */
+        var _prefetchAdjacentMonths = function (year, month, categoryId) {
+            $.each([-1, 1], function (key, offset) {
+                var monthDate = new Date(year, month + offset, 1, 0, 0, 0);
+                // Failures are left for the user to see when the month is actually shown
+                _loadRestEvents(monthDate.getFullYear(), monthDate.getMonth(), -1, categoryId);
+            });
+        };
+
+        /**
+         * Drops the months loaded through the rest adapter after a change of the events (add, update, delete...)
+         * @param {Array=} dates   Dates in the months to drop, nothing drops every month [Optional]
+         * @private
+         */
+        var _invalidateEventsCache = function (dates) {
+            if (!dates) {
+                eventsCache = {};
+                return;
+            }
+            $.each(dates, function (key, date) {
+                if (!date) {
+                    return;
+                }
+                var monthKey = '|' + date.getFullYear() + '|' + date.getMonth();
+                $.each(eventsCache, function (cacheKey) {
+                    if (cacheKey.substr(cacheKey.length - monthKey.length) === monthKey) {
+                        delete eventsCache[cacheKey];
+                    }
+                });
+            });
+        };
+
+        /**
+         * Loads the events data for a period from the inline json, the rest api or the json url
+         * @param {number} limit                Maximum number of events to get (0 is no limit)
+         * @param {number} year                 The year to get the events for
+         * @param {number} month                The month to get the events for (Jan=0)
+         * @param {number} day                  The day to get the events for (-1 for the whole month)
+         * @param {string|boolean} direction    The calendar move the events are loaded for (false on first load)
+         * @param {function(Array)} callback    Called with the events data
+         * @param {string=} categoryId          The category to get the events for (defaults to the categoryId setting) [Optional]
+         * @param {object=} request             The request of the view from _startRequest: the callback is not called once
+         *                                      it is superseded [Optional]
+         * @private
+         */
+        var _fetchEvents = function (limit, year, month, day, direction, callback, categoryId, request) {
+            var eventsCallback = callback;
+            callback = function (data) {
+                _loadBlackouts(year, month, (categoryId !== undefined) ? categoryId : $EventCalendar.settings.categoryId, function () {
+                    if (_isCurrentRequest(request)) {
+                        eventsCallback(data);
+                    }
+                });
+            };
 
             if ($EventCalendar.settings.jsonData) {
                 // user send a json in the plugin params
@@ -812,55 +2658,190 @@ if (typeof DEBUG === 'undefined') {
 
                 eventsJson = $EventCalendar.settings.jsonData;
 
-                getEventsData(eventsJson, maxLimit, specificYear, specificMonth, specificDay, direction);
+                callback(eventsJson);
 
             } else if ($EventCalendar.settings.rest) {
-                // user send a json in the plugin params
-                $EventCalendar.settings.cacheJson = true;
-
-                $EventCalendar.settings.rest.getEvents(
-                    $EventCalendar.settings.categoryId,
-                    $EventCalendar.settings.participantId,
-                    specificYear,
-                    specificMonth,
-                    specificDay,
-                    function(jsonData) {
-                        eventsJson = jsonData;
-                        getEventsData(eventsJson, maxLimit, specificYear, specificMonth, specificDay, direction);
+                // The rest data is cached by month with the restCache setting
+                var restCategoryId = (categoryId !== undefined) ? categoryId : $EventCalendar.settings.categoryId;
+                var restRequest = _loadRestEvents(year, month, day, restCategoryId);
+                if (request && !$EventCalendar.settings.restCache && (typeof restRequest.abort === 'function')) {
+                    // A cached month is shared with the other views, so only the requests of this view are aborted
+                    request.pending.push(restRequest);
+                }
+                restRequest.done(function(jsonData) {
+                    if (!_isCurrentRequest(request)) {
+                        return;
                     }
-                );
+                    eventsJson = jsonData;
+                    callback(eventsJson);
+                    if ($EventCalendar.settings.restCache && $EventCalendar.settings.prefetchMonths) {
+                        _prefetchAdjacentMonths(year, month, restCategoryId);
+                    }
+                }).fail(function (error) {
+                    if (_isCurrentRequest(request)) {
+                        _showRestError(error);
+                    }
+                });
             } else if (!$EventCalendar.settings.cacheJson || !direction) {
                 // first load: load json and save it to future filters
-                $.getJSON($EventCalendar.settings.eventsjson + "?limit=" + maxLimit + "&year=" + specificYear + "&month=" + specificMonth + "&day=" + specificDay, function (data) {
+                var jsonRequest = $.getJSON($EventCalendar.settings.eventsjson + "?limit=" + limit + "&year=" + year + "&month=" + month + "&day=" + day, function (data) {
+                    if (!_isCurrentRequest(request)) {
+                        return;
+                    }
                     eventsJson = data; // save data to future filters
-                    getEventsData(eventsJson, maxLimit, specificYear, specificMonth, specificDay, direction);
+                    callback(eventsJson);
                 }).error(function () {
-                    showError("error getting json: ");
+                    if (_isCurrentRequest(request)) {
+                        showError("error getting json: ");
+                    }
                 });
+                if (request) {
+                    request.pending.push(jsonRequest);
+                }
             } else {
 
                 // filter previous saved json
-                getEventsData(eventsJson, maxLimit, specificYear, specificMonth, specificDay, direction);
+                callback(eventsJson);
             }
+        };
 
-            $element.find('.current').removeClass('current');
-            if (specificDay > '') {
-                $element.find('#dayList_' + specificDay).addClass('current');
-            }
+        /**
+         * Converts the busy periods sent by the availability call to events without details. Having no id, each
+         * event gets a key from its dates and category, which tells the same period sent for several months
+         * @param {Array} busyPeriods           The busy periods: {startDate, endDate}
+         * @param {string|boolean} categoryId   The category the busy periods were loaded for
+         * @returns {Array}                     The events data
+         * @private
+         */
+        var _getBusyEvents = function (busyPeriods, categoryId) {
+            return $.map(busyPeriods || [], function (busyPeriod) {
+                return {
+                    key: [busyPeriod.startDate, busyPeriod.endDate, categoryId].join('|'),
+                    startDate: busyPeriod.startDate,
+                    endDate: busyPeriod.endDate,
+                    title: $EventCalendar.settings.textBusy,
+                    description: '',
+                    classEvent: 'busy'
+                };
+            });
         };
 
         /**
-         * Changes the month on the calendar and updates the events
-         * @param {string} show Calendar month to show. One of 'current' for this month, 'prev' for last month, or 'next' for next month
+         * Loads the events data for all the months a period runs over
+         * @param {Date} startDate              Start of the period
+         * @param {Date} endDate                End of the period (excluded)
+         * @param {string} direction            The calendar move the events are loaded for
+         * @param {function(Array)} callback    Called with the events data of all the months
+         * @param {string=} categoryId          The category to get the events for (defaults to the categoryId setting) [Optional]
+         * @param {object=} request             The request of the view from _startRequest [Optional]
          * @private
          */
-        var _changeCalendarMonth = function (show) {
-            var dateToShow = null;
-            var dayCount;
+        var _fetchEventsForPeriod = function (startDate, endDate, direction, callback, categoryId, request) {
+            var months = [];
+            var monthDate = new Date(startDate.getFullYear(), startDate.getMonth(), 1, 0, 0, 0);
+            while (monthDate.isBefore(endDate)) {
+                months.push(monthDate.clone());
+                monthDate.addMonths(1);
+            }
 
-            // Calculate the date to show
-            if (show === 'current') {
-                dateToShow = $EventCalendar.settings.currentDate;
+            var monthsData = [];
+            var monthsToLoad = months.length;
+            $.each(months, function (key, monthToLoad) {
+                _fetchEvents(0, monthToLoad.getFullYear(), monthToLoad.getMonth(), -1, direction, function (data) {
+                    monthsData[key] = data;
+                    monthsToLoad -= 1;
+                    if (monthsToLoad) {
+                        return;
+                    }
+
+                    // The same event can be sent for each month it takes place in (the busy periods are told by their key)
+                    var periodData = [];
+                    $.each(monthsData, function (key, data) {
+                        $.each(data || [], function (key, event) {
+                            for (var i = 0; i < periodData.length; i += 1) {
+                                if ((periodData[i] === event) || ((event.id !== undefined) && (periodData[i].id === event.id)) ||
+                                    ((event.key !== undefined) && (periodData[i].key === event.key))) {
+                                    return;
+                                }
+                            }
+                            periodData.push(event);
+                        });
+                    });
+                    callback(periodData);
+                }, categoryId, request);
+            });
+        };
+
+        /**
+         * Returns the events of a category: the ones with its categoryId, and the ones without any category
+         * @param {Array} data            The events data
+         * @param {string} categoryId     The category code
+         * @returns {Array}
+         * @private
+         */
+        var _getCategoryEvents = function (data, categoryId) {
+            return $.grep(data || [], function (event) {
+                return (event.categoryId === undefined) || (event.categoryId === null) || (String(event.categoryId) === String(categoryId));
+            });
+        };
+
+        var _getEvents = function (limit, year, month, day, direction) {
+            var maxLimit = limit || 0;
+            var specificYear = (typeof year === "number") ? year : $EventCalendar.settings.currentDate.getFullYear();
+            var specificMonth = (typeof month === "number") ? month : $EventCalendar.settings.currentDate.getMonth();
+            var specificDay = (typeof day === "number") ? day : -1;
+
+            var request = _startRequest('events');
+            $element.find('.js-error-banner').remove();
+
+            _fetchEvents(maxLimit, specificYear, specificMonth, specificDay, direction, function (data) {
+                getEventsData(data, maxLimit, specificYear, specificMonth, specificDay, direction);
+            }, undefined, request);
+
+            $element.find('.current').removeClass('current');
+            if (specificDay > '') {
+                $element.find('#dayList_' + specificDay).addClass('current');
+            }
+            if (direction === 'day') {
+                $EventCalendar.currentDay = new Date(specificYear, specificMonth, specificDay);
+            }
+        };
+
+        /**
+         * Adds a calendar period (month, week...) to the slider, creating the slider and its arrows first if needed
+         * @param {object} $periodWrap  The element holding the calendar period
+         * @returns {object}            The slider element
+         * @private
+         */
+        var _initialiseSlider = function ($periodWrap) {
+            var $eventsCalendarSlider = $("<div class='bookingCalendar-slider js-calendar-slider'></div>");
+            var $eventsCalendarArrows = $("<a href='#' class='arrow prev'><span>" + $EventCalendar.settings.textPrevious + "</span></a><a href='#' class='arrow next'><span>" + $EventCalendar.settings.textNext + "</span></a>");
+
+            if (!$element.find('.bookingCalendar-slider').size()) {
+                $element.prepend($eventsCalendarSlider);
+                $eventsCalendarSlider.append($periodWrap);
+                $eventsCalendarSlider.append($eventsCalendarArrows);
+            } else {
+                $eventsCalendarSlider = $element.find('.bookingCalendar-slider');
+                $eventsCalendarSlider.append($periodWrap);
+            }
+            return $eventsCalendarSlider;
+        };
+
+        /**
+         * Changes the month on the calendar and updates the events
+         * @param {string} show Calendar month to show. One of 'current' for this month, 'prev' for last month, or 'next' for next month
+         * @param {Date=} date   A date of the month to show instead, the events being loaded with show as the direction [Optional]
+         * @private
+         */
+        var _changeCalendarMonth = function (show, date) {
+            var dateToShow = null;
+
+            // Calculate the date to show
+            if (show === 'current') {
+                dateToShow = $EventCalendar.settings.currentDate;
+            } else if (date) {
+                dateToShow = date.clone().moveToFirstDayOfMonth();
             } else {
                 dateToShow = new Date($element.attr('data-current-year'), $element.attr('data-current-month'), 1, 0, 0, 0);
                 dateToShow = (show === 'prev') ? dateToShow.addMonths(-1) : dateToShow.addMonths(1);
@@ -872,74 +2853,836 @@ if (typeof DEBUG === 'undefined') {
             $element.attr('data-current-month', month).attr('data-current-year', year);
 
             // Initialise the DOM for the new month
-            var $eventsCalendarSlider = $("<div class='bookingCalendar-slider js-calendar-slider'></div>");
             var $eventsCalendarMonthWrap = $("<div class='bookingCalendar-monthWrap'></div>");
             var $eventsCalendarTitle = $("<div class='bookingCalendar-currentTitle'><a href='#' class='monthTitle'></a></div>");
-            var $eventsCalendarArrows = $("<a href='#' class='arrow prev'><span>" + $EventCalendar.settings.textPrevious + "</span></a><a href='#' class='arrow next'><span>" + $EventCalendar.settings.textNext + "</span></a>");
+            var $eventsCalendarDaysList = _createDaysList(dateToShow, false);
+            var $eventsCalendarSlider = _initialiseSlider($eventsCalendarMonthWrap);
+
+            $element.find('.bookingCalendar-monthWrap.currentMonth').removeClass('currentMonth').addClass('oldMonth').hide();
+            $eventsCalendarMonthWrap.addClass('currentMonth').append($eventsCalendarTitle, $eventsCalendarDaysList);
+
+            // Add calendar title
+            $eventsCalendarTitle.find('.monthTitle').html(dateToShow.toString($EventCalendar.settings.textCalendarTitle));
+
+            // Link back to the year the month was opened from
+            if ($EventCalendar.settings.view === 'year') {
+                $eventsCalendarTitle.prepend($("<a href='#' class='yearTitle js-year-title'></a>").text(year));
+            }
+
+            $eventsCalendarSlider.height($eventsCalendarMonthWrap.height() + 'px');
+
+            // Add data for new month
+            if (show !== 'current') {
+                _getEvents($EventCalendar.settings.eventsLimit, year, month, false, show);
+            }
+        };
+
+        /**
+         * Creates the list of the days of a month
+         * @param {Date} dateToShow      A date of the month
+         * @param {boolean} miniMonth    True for the small months of the year view (days which are not links to their events)
+         * @returns {object}             The list element
+         * @private
+         */
+        var _createDaysList = function (dateToShow, miniMonth) {
+            var year = dateToShow.getFullYear();
+            var month = dateToShow.getMonth();
             var $eventsCalendarDaysList = $("<ul class='bookingCalendar-daysList'></ul>");
+            var dayCount;
+
+            // Initialise multi-row display format
+            var calendarCells = [];
+            if ($EventCalendar.settings.showDayAsWeeks) {
+                $eventsCalendarDaysList.addClass('showAsWeek');
+
+                // Show day names in the top row of the calendar
+                if ($EventCalendar.settings.showDayNameInCalendar) {
+                    $eventsCalendarDaysList.addClass('showDayNames');
+                    var dayOfWeek = Date.today().moveToDayOfWeek($EventCalendar.settings.startWeekOnMonday ? 1 : 0);
+                    for (dayCount = 0; dayCount < 7; dayCount += 1) {
+                        calendarCells.push('<li class="bookingCalendar-day-header">' + dayOfWeek.toString($EventCalendar.settings.dayNameFormat) + '</li>');
+                        dayOfWeek.addDays(1);
+                    }
+                }
+
+                // Add empty cells before the first day of the month
+                var emptyCellsToShow = dateToShow.clone().moveToFirstDayOfMonth().getDay();
+                if ($EventCalendar.settings.startWeekOnMonday) {
+                    emptyCellsToShow -= 1;
+                    if (emptyCellsToShow < 0) {
+                        emptyCellsToShow = 6;
+                    }
+                }
+
+                for (dayCount = 0; dayCount < emptyCellsToShow; dayCount += 1) {
+                    calendarCells.push('<li class="bookingCalendar-day empty"></li>');
+                }
+            }
+
+            // Add the day numbers
+            var daysInMonth = Date.getDaysInMonth(dateToShow.getFullYear(), dateToShow.getMonth());
+            for (dayCount = 1; dayCount <= daysInMonth; dayCount += 1) {
+                if (miniMonth) {
+                    $eventsCalendarDaysList.append(
+                        $('<li rel="' + dayCount + '" class="bookingCalendar-day js-year-day"><span>' + dayCount + '</span></li>').data('date', new Date(year, month, dayCount, 0, 0, 0))
+                    );
+                } else {
+                    var $day = $('<li id="dayList_' + dayCount + '" rel="' + dayCount + '" class="bookingCalendar-day js-calendar-day"><a href="#">' + dayCount + '</a></li>').data('date', new Date(year, month, dayCount, 0, 0, 0));
+
+                    // Days without opening hours, or whose hours are all out of the booking window, can't be booked
+                    if ($EventCalendar.settings.bookingMode && !$EventCalendar.settings.nightlyBooking && !_hasBookableSlots($day.data('date'))) {
+                        $day.addClass('closed');
+                    }
+                    $eventsCalendarDaysList.append($day);
+                }
+            }
+
+            return $eventsCalendarDaysList;
+        };
+
+        /**
+         * Returns the number of minutes since midnight of a time setting
+         * @param {string} time  Time in the 'HH:mm' format
+         * @returns {number}
+         * @private
+         */
+        var _getMinutesOfDay = function (time) {
+            var timeParts = time.split(':');
+            return (parseInt(timeParts[0], 10) * 60) + parseInt(timeParts[1], 10);
+        };
+
+        /**
+         * Returns the first day of the week date is in
+         * @param {Date} date  Any date of the week
+         * @returns {Date}
+         * @private
+         */
+        var _getWeekStartDate = function (date) {
+            var weekStartDate = date.clone().clearTime();
+            var daysSinceWeekStart = (weekStartDate.getDay() - ($EventCalendar.settings.startWeekOnMonday ? 1 : 0) + 7) % 7;
+            return weekStartDate.addDays(-daysSinceWeekStart);
+        };
+
+        /**
+         * Creates a time grid: a column of consecutive days per day, with a vertical time axis
+         * going from the start time to the end time
+         * @param {Date} startDate   The first day of the grid
+         * @param {number} days      The number of days (columns) of the grid
+         * @returns {object}         The grid element
+         * @private
+         */
+        var _createTimeGrid = function (startDate, days) {
+            var startMinutes = _getMinutesOfDay($EventCalendar.settings.startTime);
+            var endMinutes = _getMinutesOfDay($EventCalendar.settings.endTime);
+            var hourHeight = $EventCalendar.settings.hourHeight;
+            var $timeGrid = $("<div class='bookingCalendar-timeGrid'></div>").addClass('days-' + days);
+            var $gridHeader = $("<div class='bookingCalendar-timeGrid-header'><div class='bookingCalendar-timeAxis'></div></div>");
+            var $gridBody = $("<div class='bookingCalendar-timeGrid-body'></div>").height(((endMinutes - startMinutes) / 60 * hourHeight) + 'px');
+            var $timeAxis = $("<div class='bookingCalendar-timeAxis'></div>");
+            var dayCount;
+            var minutes;
+
+            for (minutes = Math.ceil(startMinutes / 60) * 60; minutes < endMinutes; minutes += 60) {
+                $timeAxis.append(
+                    $("<span class='bookingCalendar-timeAxis-label'></span>")
+                        .text(_getDayTime(Date.today(), minutes).toString($EventCalendar.settings.timeFormat))
+                        .css('top', ((minutes - startMinutes) / 60 * hourHeight) + 'px')
+                );
+            }
+            $gridBody.append($timeAxis);
+
+            for (dayCount = 0; dayCount < days; dayCount += 1) {
+                var columnDate = startDate.clone().addDays(dayCount);
+                var $timeColumn = $("<div class='bookingCalendar-timeColumn js-time-column'></div>").data('date', columnDate);
+                for (minutes = Math.ceil(startMinutes / 60) * 60; minutes < endMinutes; minutes += 60) {
+                    $timeColumn.append($("<span class='bookingCalendar-timeColumn-hour'></span>").css('top', ((minutes - startMinutes) / 60 * hourHeight) + 'px'));
+                }
+                if (columnDate.equals(_getToday())) {
+                    $timeColumn.addClass('today');
+                }
+
+                $gridHeader.append(
+                    $("<a href='#' class='bookingCalendar-timeGrid-day js-grid-day'></a>")
+                        .text(columnDate.toString($EventCalendar.settings.weekDayFormat))
+                        .data('date', columnDate)
+                );
+                $gridBody.append($timeColumn);
+            }
+
+            return $timeGrid.append($gridHeader, $gridBody);
+        };
+
+        /**
+         * Places the instances of the events as blocks in the columns of a time grid, according to their start and end times
+         * @param {object} $timeGrid   The grid element
+         * @param {Array} data         The events data
+         * @private
+         */
+        var _addEventsToTimeGrid = function ($timeGrid, data) {
+            var startMinutes = _getMinutesOfDay($EventCalendar.settings.startTime);
+            var endMinutes = _getMinutesOfDay($EventCalendar.settings.endTime);
+            var hourHeight = $EventCalendar.settings.hourHeight;
+            var timeZone = $EventCalendar.settings.timeZone;
+            var $timeColumns = $timeGrid.find('.js-time-column');
+            var gridStartDate = _getZoneDayTime($timeColumns.first().data('date'), 0, timeZone);
+            var gridEndDate = _getZoneDayTime($timeColumns.last().data('date'), 1440, timeZone);
+
+            $timeColumns.find('.bookingCalendar-timeEvent').remove();
+
+            $.each(data || [], function (key, event) {
+                var eventItem = new EventItem(event, $EventCalendar.settings.jsonDateFormat, _logEventError, $EventCalendar.settings.timeZone);
+                $.each(eventItem.getEventInstances(gridStartDate, gridEndDate), function (key, eventInstance) {
+                    var eventEndDate = eventInstance.endDate;
+                    // Events without an end get the length of a booking
+                    if (!eventEndDate.isAfter(eventInstance.startDate)) {
+                        eventEndDate = eventInstance.startDate.clone().addMinutes($EventCalendar.currentPeriod || 60);
+                    }
+
+                    $timeColumns.each(function () {
+                        var $timeColumn = $(this);
+                        var columnDate = $timeColumn.data('date');
+                        var dayStartDate = _getZoneDayTime(columnDate, startMinutes, timeZone);
+                        var dayEndDate = _getZoneDayTime(columnDate, endMinutes, timeZone);
+                        var blockStartDate = eventInstance.startDate.isAfter(dayStartDate) ? eventInstance.startDate : dayStartDate;
+                        var blockEndDate = eventEndDate.isBefore(dayEndDate) ? eventEndDate : dayEndDate;
+                        if (!blockEndDate.isAfter(blockStartDate)) {
+                            return;
+                        }
+
+                        var blockTop = (_getZoneDayMinutes(blockStartDate, columnDate, timeZone) - startMinutes) / 60 * hourHeight;
+                        var blockHeight = (_getZoneDayMinutes(blockEndDate, columnDate, timeZone) - _getZoneDayMinutes(blockStartDate, columnDate, timeZone)) / 60 * hourHeight;
+                        var $eventBlock = $("<div class='bookingCalendar-timeEvent'><span class='eventTime'></span> <span class='eventTitle'></span></div>")
+                            .addClass(eventInstance.classEvent || '')
+                            .attr('data-id', eventInstance.id)
+                            .attr('title', eventInstance.title)
+                            .css({
+                                'top': blockTop + 'px',
+                                'height': blockHeight + 'px'
+                            })
+                            .data('eventInstance', eventInstance)
+                            .data('blockTop', blockTop)
+                            .data('blockBottom', blockTop + blockHeight);
+                        $eventBlock.find('.eventTime').text(_formatZoneDate(eventInstance.startDate, '', $EventCalendar.settings.timeFormat, timeZone));
+                        $eventBlock.find('.eventTitle').html(eventInstance.title);
+                        $timeColumn.append($eventBlock);
+                    });
+                });
+            });
+
+            $timeColumns.each(function () {
+                _layoutTimeColumn($(this));
+            });
+        };
+
+        /**
+         * Lays out the overlapping event blocks of a time grid column side by side: each group of
+         * overlapping blocks is split into as many columns as needed so that no two blocks overlap
+         * @param {object} $timeColumn  The time grid column
+         * @private
+         */
+        var _layoutTimeColumn = function ($timeColumn) {
+            var eventBlocks = $timeColumn.find('.bookingCalendar-timeEvent').map(function () {
+                var $eventBlock = $(this);
+                return {$eventBlock: $eventBlock, top: $eventBlock.data('blockTop'), bottom: $eventBlock.data('blockBottom')};
+            }).get().sort(function (aBlock, bBlock) {
+                return (aBlock.top - bBlock.top) || (bBlock.bottom - aBlock.bottom);
+            });
+
+            var groupColumns = [];
+            var groupBlocks = [];
+            var groupBottom = 0;
+
+            var _layoutGroup = function () {
+                var columnWidth = 100 / groupColumns.length;
+                $.each(groupBlocks, function (key, eventBlock) {
+                    eventBlock.$eventBlock.css({
+                        'left': (eventBlock.column * columnWidth) + '%',
+                        'right': 'auto',
+                        'width': columnWidth + '%'
+                    });
+                });
+                groupColumns = [];
+                groupBlocks = [];
+                groupBottom = 0;
+            };
+
+            $.each(eventBlocks, function (key, eventBlock) {
+                // A block starting after all the blocks of the group have ended starts a new group
+                if (groupBlocks.length && (eventBlock.top >= groupBottom)) {
+                    _layoutGroup();
+                }
+
+                var column = 0;
+                while ((column < groupColumns.length) && (groupColumns[column] > eventBlock.top)) {
+                    column += 1;
+                }
+                groupColumns[column] = eventBlock.bottom;
+                eventBlock.column = column;
+                groupBlocks.push(eventBlock);
+                groupBottom = Math.max(groupBottom, eventBlock.bottom);
+            });
+            if (groupBlocks.length) {
+                _layoutGroup();
+            }
+        };
+
+        /**
+         * Creates the time grid of a single day, with its events laid out side by side when they overlap
+         * and its booking slots (in booking mode) behind them
+         * @param {Date} date         The day to show
+         * @param {Array} data        The events data
+         * @param {Array} daySlots    The booking slots of the day (see _getDaySlots)
+         * @param {number} period     The length of a slot in minutes
+         * @returns {object}          The grid element
+         * @private
+         */
+        var _createDayTimeline = function (date, data, daySlots, period) {
+            var startMinutes = _getMinutesOfDay($EventCalendar.settings.startTime);
+            var endMinutes = _getMinutesOfDay($EventCalendar.settings.endTime);
+            var hourHeight = $EventCalendar.settings.hourHeight;
+            var $timeGrid = _createTimeGrid(date.clone().clearTime(), 1).addClass('bookingCalendar-dayTimeline');
+            var $timeColumn = $timeGrid.find('.js-time-column');
+            var dayDate = date.clone().clearTime();
+
+            $.each(daySlots, function (key, daySlot) {
+                var slotMinutes = daySlot.minutes - startMinutes;
+                if ((slotMinutes < 0) || (slotMinutes + period > endMinutes - startMinutes)) {
+                    return;
+                }
+                $timeColumn.append(
+                    $("<div class='bookingCalendar-timeSlot js-booking-link'></div>")
+                        .toggleClass('closed', daySlot.closed || daySlot.disabled)
+                        .toggleClass('disabled', daySlot.disabled)
+                        .text(_formatDayMinutes(daySlot.minutes, $EventCalendar.settings.timeFormat) + ' ' + _getSlotPlacesText(daySlot))
+                        .attr('title', _getLocalTimeText(daySlot.date))
+                        .css({
+                            'top': (slotMinutes / 60 * hourHeight) + 'px',
+                            'height': (period / 60 * hourHeight) + 'px'
+                        })
+                        .data('date', daySlot.date)
+                        .data('end-date', daySlot.endDate)
+                );
+            });
+
+            _addEventsToTimeGrid($timeGrid, data);
+            return $timeGrid;
+        };
+
+        /**
+         * Changes the week on the calendar (week view) and updates the events
+         * @param {string} show Calendar week to show. One of 'current' for this week, 'prev' for last week, or 'next' for next week
+         * @private
+         */
+        var _changeCalendarWeek = function (show) {
+            var dateToShow;
+
+            // Calculate the date to show
+            if (show === 'current') {
+                dateToShow = $EventCalendar.settings.currentDate;
+            } else {
+                dateToShow = new Date($element.attr('data-current-year'), $element.attr('data-current-month'), $element.attr('data-current-day'), 0, 0, 0);
+                dateToShow = (show === 'prev') ? dateToShow.addDays(-7) : dateToShow.addDays(7);
+            }
+
+            var weekStartDate = _getWeekStartDate(dateToShow);
+            var weekEndDate = weekStartDate.clone().addDays(6);
+            $element.attr('data-current-month', weekStartDate.getMonth())
+                .attr('data-current-year', weekStartDate.getFullYear())
+                .attr('data-current-day', weekStartDate.getDate());
+
+            // Initialise the DOM for the new week
+            var $eventsCalendarWeekWrap = $("<div class='bookingCalendar-monthWrap bookingCalendar-weekWrap'></div>");
+            var $eventsCalendarTitle = $("<div class='bookingCalendar-currentTitle'><span class='weekTitle'></span></div>");
+            var $timeGrid = _createTimeGrid(weekStartDate, 7);
+            var $eventsCalendarSlider = _initialiseSlider($eventsCalendarWeekWrap);
+
+            $element.find('.bookingCalendar-monthWrap.currentMonth').removeClass('currentMonth').addClass('oldMonth').hide();
+            $eventsCalendarWeekWrap.addClass('currentMonth').append($eventsCalendarTitle, $timeGrid);
+
+            // Add calendar title
+            $eventsCalendarTitle.find('.weekTitle').text(weekStartDate.toString($EventCalendar.settings.textWeekTitle) + ' - ' + weekEndDate.toString($EventCalendar.settings.textWeekTitle));
+
+            $eventsCalendarSlider.height($eventsCalendarWeekWrap.height() + 'px');
+
+            // Add data for new week
+            var request = _startRequest('week');
+            _fetchEventsForPeriod(weekStartDate, weekEndDate.clone().addDays(1), show, function (data) {
+                _addEventsToTimeGrid($timeGrid, data);
+                _endRequest(request);
+            }, undefined, request);
+        };
+
+        /**
+         * Returns the position of a moment on the tracks of the resource view, as a percentage of their width
+         * (the tracks show the days side by side, each from the start time to the end time)
+         * @param {Date} date         The moment to position
+         * @param {Date} startDate    The first day shown
+         * @param {number} days       The number of days shown
+         * @returns {number}
+         * @private
+         */
+        var _getResourceOffset = function (date, startDate, days) {
+            var minutes = _getZoneDayMinutes(date, startDate, $EventCalendar.settings.timeZone);
+            return _getResourceMinutesOffset(Math.floor(minutes / 1440), minutes % 1440, days);
+        };
+
+        /**
+         * Returns the position of a time of a day on the tracks of the resource view (see _getResourceOffset)
+         * @param {number} dayCount   The day, counted from the first day shown
+         * @param {number} minutes    The time in minutes from midnight
+         * @param {number} days       The number of days shown
+         * @returns {number}
+         * @private
+         */
+        var _getResourceMinutesOffset = function (dayCount, minutes, days) {
+            var startMinutes = _getMinutesOfDay($EventCalendar.settings.startTime);
+            var endMinutes = _getMinutesOfDay($EventCalendar.settings.endTime);
+            minutes = Math.min(Math.max(minutes, startMinutes), endMinutes);
+            return (dayCount * (endMinutes - startMinutes) + minutes - startMinutes) / (days * (endMinutes - startMinutes)) * 100;
+        };
+
+        /**
+         * Creates the grid of the resource view: a row for each of the categoriesForBooking (rooms) with the time running across
+         * @param {Date} startDate   The first day of the grid
+         * @param {number} days      The number of days shown
+         * @returns {object}         The grid element
+         * @private
+         */
+        var _createResourceGrid = function (startDate, days) {
+            var startMinutes = _getMinutesOfDay($EventCalendar.settings.startTime);
+            var endMinutes = _getMinutesOfDay($EventCalendar.settings.endTime);
+            var $resourceGrid = $("<div class='bookingCalendar-resourceGrid'></div>").addClass('days-' + days);
+            var $gridHeader = $("<div class='bookingCalendar-resourceRow bookingCalendar-resourceGrid-header'><div class='bookingCalendar-resourceName'></div><div class='bookingCalendar-resourceTrack'></div></div>");
+            var $headerTrack = $gridHeader.find('.bookingCalendar-resourceTrack');
+            var dayCount;
+            var minutes;
+
+            for (dayCount = 0; dayCount < days; dayCount += 1) {
+                var dayDate = startDate.clone().addDays(dayCount);
+                if (days > 1) {
+                    $headerTrack.append(
+                        $("<a href='#' class='bookingCalendar-resourceGrid-day js-grid-day'></a>")
+                            .text(dayDate.toString($EventCalendar.settings.weekDayFormat))
+                            .css({
+                                'left': (dayCount / days * 100) + '%',
+                                'width': (100 / days) + '%'
+                            })
+                            .toggleClass('today', dayDate.equals(_getToday()))
+                            .data('date', dayDate)
+                    );
+                } else {
+                    for (minutes = Math.ceil(startMinutes / 60) * 60; minutes < endMinutes; minutes += 60) {
+                        $headerTrack.append(
+                            $("<span class='bookingCalendar-resourceGrid-hour'></span>")
+                                .text(_getDayTime(Date.today(), minutes).toString($EventCalendar.settings.timeFormat))
+                                .css('left', ((minutes - startMinutes) / (endMinutes - startMinutes) * 100) + '%')
+                        );
+                    }
+                }
+            }
+            $resourceGrid.append($gridHeader);
+
+            $.each($EventCalendar.settings.categoriesForBooking || [], function (key, category) {
+                $resourceGrid.append(
+                    $("<div class='bookingCalendar-resourceRow js-resource-row'><div class='bookingCalendar-resourceName'></div><div class='bookingCalendar-resourceTrack js-resource-track'></div></div>")
+                        .data('category', category)
+                        .find('.bookingCalendar-resourceName').text(category.name).end()
+                );
+            });
+
+            return $resourceGrid;
+        };
+
+        /**
+         * Fills the track of a resource view row with the booking slots of its category and the blocks of its events
+         * @param {object} $resourceRow  The row of the category
+         * @param {Date} startDate       The first day shown
+         * @param {number} days          The number of days shown
+         * @param {Array} data           The events data of the category
+         * @private
+         */
+        var _addEventsToResourceRow = function ($resourceRow, startDate, days, data) {
+            var startMinutes = _getMinutesOfDay($EventCalendar.settings.startTime);
+            var endMinutes = _getMinutesOfDay($EventCalendar.settings.endTime);
+            var period = $EventCalendar.currentPeriod || 60;
+            var category = $resourceRow.data('category');
+            var timeZone = $EventCalendar.settings.timeZone;
+            var $resourceTrack = $resourceRow.find('.js-resource-track').empty();
+            var endDate = startDate.clone().addDays(days);
+            var eventInstances = [];
+            var eventsPeriods = [];
+            var dayCount;
+
+            $.each(data || [], function (key, event) {
+                var eventItem = new EventItem(event, $EventCalendar.settings.jsonDateFormat, _logEventError, timeZone);
+                $.each(eventItem.getEventInstances(_getZoneDayTime(startDate, 0, timeZone), _getZoneDayTime(endDate, 0, timeZone)), function (key, eventInstance) {
+                    eventInstances.push(eventInstance);
+                    eventsPeriods.push([eventInstance.startDate, eventInstance.endDate]);
+                });
+            });
+
+            for (dayCount = 0; dayCount < days; dayCount += 1) {
+                var dayDate = startDate.clone().addDays(dayCount);
+                var dayStartDate = _getZoneDayTime(dayDate, startMinutes, timeZone);
+                var dayEndDate = _getZoneDayTime(dayDate, endMinutes, timeZone);
+
+                $.each(_getDaySlots(dayDate, period, eventsPeriods, category.code), function (key, daySlot) {
+                    if ((daySlot.minutes < startMinutes) || (daySlot.minutes + period > endMinutes)) {
+                        return;
+                    }
+                    var left = _getResourceMinutesOffset(dayCount, daySlot.minutes, days);
+                    $resourceTrack.append(
+                        $("<div class='bookingCalendar-resourceCell'></div>")
+                            .toggleClass('js-booking-link', !!$EventCalendar.settings.bookingMode)
+                            .toggleClass('closed', daySlot.closed || daySlot.disabled)
+                            .toggleClass('disabled', daySlot.disabled)
+                            .attr('title', category.name + ' ' + ((days > 1) ? dayDate.toString($EventCalendar.settings.weekDayFormat) + ' ' : '') + _formatDayMinutes(daySlot.minutes, $EventCalendar.settings.timeFormat) + ' ' + _getSlotPlacesText(daySlot) + ' ' + _getLocalTimeText(daySlot.date))
+                            .css({
+                                'left': left + '%',
+                                'width': (_getResourceMinutesOffset(dayCount, daySlot.minutes + period, days) - left) + '%'
+                            })
+                            .data('date', daySlot.date)
+                            .data('end-date', daySlot.endDate)
+                            .data('category', category.code)
+                    );
+                });
+
+                $.each(eventInstances, function (key, eventInstance) {
+                    var eventEndDate = eventInstance.endDate;
+                    // Events without an end get the length of a booking
+                    if (!eventEndDate.isAfter(eventInstance.startDate)) {
+                        eventEndDate = eventInstance.startDate.clone().addMinutes(period);
+                    }
+                    var blockStartDate = eventInstance.startDate.isAfter(dayStartDate) ? eventInstance.startDate : dayStartDate;
+                    var blockEndDate = eventEndDate.isBefore(dayEndDate) ? eventEndDate : dayEndDate;
+                    if (!blockEndDate.isAfter(blockStartDate)) {
+                        return;
+                    }
+
+                    var left = _getResourceOffset(blockStartDate, startDate, days);
+                    $resourceTrack.append(
+                        $("<div class='bookingCalendar-resourceEvent'></div>")
+                            .addClass(eventInstance.classEvent || '')
+                            .attr('data-id', eventInstance.id)
+                            .attr('title', _formatZoneDate(eventInstance.startDate, '', $EventCalendar.settings.timeFormat, timeZone) + ' ' + eventInstance.title)
+                            .html(eventInstance.title)
+                            .css({
+                                'left': left + '%',
+                                'width': (_getResourceOffset(blockEndDate, startDate, days) - left) + '%'
+                            })
+                            .data('eventInstance', eventInstance)
+                    );
+                });
+            }
+        };
+
+        /**
+         * Changes the day or week on the calendar (resource view) and updates the events of each category
+         * @param {string} show Calendar period to show. One of 'current', 'prev' or 'next'
+         * @private
+         */
+        var _changeCalendarResource = function (show) {
+            var days = ($EventCalendar.settings.resourceRange === 'week') ? 7 : 1;
+            var dateToShow;
+
+            // Calculate the date to show
+            if (show === 'current') {
+                dateToShow = $EventCalendar.settings.currentDate.clone();
+            } else {
+                dateToShow = new Date($element.attr('data-current-year'), $element.attr('data-current-month'), $element.attr('data-current-day'), 0, 0, 0);
+                if (show !== 'refresh') {
+                    dateToShow = (show === 'prev') ? dateToShow.addDays(-days) : dateToShow.addDays(days);
+                }
+            }
+
+            var startDate = (days === 7) ? _getWeekStartDate(dateToShow) : dateToShow.clearTime();
+            var endDate = startDate.clone().addDays(days - 1);
+            $element.attr('data-current-month', startDate.getMonth())
+                .attr('data-current-year', startDate.getFullYear())
+                .attr('data-current-day', startDate.getDate());
+
+            // Initialise the DOM for the new period
+            var $eventsCalendarResourceWrap = $("<div class='bookingCalendar-monthWrap bookingCalendar-resourceWrap'></div>");
+            var $eventsCalendarTitle = $("<div class='bookingCalendar-currentTitle'><span class='weekTitle'></span></div>");
+            var $resourceGrid = _createResourceGrid(startDate, days);
+            var $eventsCalendarSlider = _initialiseSlider($eventsCalendarResourceWrap);
+
+            $element.find('.bookingCalendar-monthWrap.currentMonth').removeClass('currentMonth').addClass('oldMonth').hide();
+            $eventsCalendarResourceWrap.addClass('currentMonth').append($eventsCalendarTitle, $resourceGrid);
+
+            // Add calendar title
+            $eventsCalendarTitle.find('.weekTitle').text(startDate.toString($EventCalendar.settings.textWeekTitle) + ((days > 1) ? ' - ' + endDate.toString($EventCalendar.settings.textWeekTitle) : ''));
+
+            $eventsCalendarSlider.height($eventsCalendarResourceWrap.height() + 'px');
+
+            // Add data for each category
+            var request = _startRequest('resource');
+            var $resourceRows = $resourceGrid.find('.js-resource-row');
+            var rowsToLoad = $resourceRows.length;
+            $resourceRows.each(function () {
+                var $resourceRow = $(this);
+                var categoryId = $resourceRow.data('category').code;
+                _fetchEventsForPeriod(startDate, endDate.clone().addDays(1), show, function (data) {
+                    _addEventsToResourceRow($resourceRow, startDate, days, _getCategoryEvents(data, categoryId));
+                    rowsToLoad -= 1;
+                    if (!rowsToLoad) {
+                        _endRequest(request);
+                    }
+                }, categoryId, request);
+            });
+            if (!rowsToLoad) {
+                _endRequest(request);
+            }
+        };
+
+        /**
+         * Adds the event instances of a page to the agenda, under the header of their day
+         * @param {object} $agenda          The agenda element
+         * @param {Array} eventInstances    The event instances, sorted by date
+         * @private
+         */
+        var _addInstancesToAgenda = function ($agenda, eventInstances) {
+            var $agendaList = $agenda.find('.bookingCalendar-agendaList');
+            var timeZone = $EventCalendar.settings.timeZone;
+
+            $.each(eventInstances, function (key, eventInstance) {
+                var dayDate = _getZoneDay(eventInstance.startDate, timeZone);
+                var day = dayDate.toString('yyyy-MM-dd');
+                if ($agendaList.find('.bookingCalendar-agendaDay').last().attr('data-date') !== day) {
+                    $agendaList.append(
+                        $('<li class="bookingCalendar-agendaDay"></li>')
+                            .attr('data-date', day)
+                            .toggleClass('today', dayDate.equals(_getToday()))
+                            .text(dayDate.toString($EventCalendar.settings.textAgendaDay))
+                    );
+                }
+
+                var $eventListItem = $(_getEventListItem(eventInstance, 'agendaItem_' + $agendaList.find('.event-list-item').length, ''));
+                $eventListItem.prepend($('<span class="eventTime"></span>').text(_formatZoneDate(eventInstance.startDate, '', $EventCalendar.settings.timeFormat, timeZone)), ' ');
+                $agendaList.append($eventListItem);
+                _initialiseCancelLinks($eventListItem);
+
+                var onEventAddedToList = $EventCalendar.settings.onEventAddedToList;
+                if (onEventAddedToList && (typeof onEventAddedToList === 'function')) {
+                    onEventAddedToList(eventInstance);
+                }
+            });
+        };
+
+        /**
+         * Loads the next month of the agenda, and the ones after it as long as the agenda can't be scrolled
+         * @param {object} $agenda   The agenda element
+         * @private
+         */
+        var _loadAgendaPage = function ($agenda) {
+            var agenda = $agenda.data('agenda');
+            if (agenda.loading || agenda.ended) {
+                return;
+            }
+
+            var pageStartDate = agenda.nextMonth.clone();
+            var pageEndDate = pageStartDate.clone().addMonths(1);
+            var fromDate = pageStartDate.isBefore(agenda.fromDate) ? agenda.fromDate : pageStartDate;
+            agenda.nextMonth = pageEndDate;
+            agenda.loading = true;
+            $agenda.find('.bookingCalendar-agendaLoading').show();
+
+            _fetchEvents(0, pageStartDate.getFullYear(), pageStartDate.getMonth(), -1, 'agenda', function (data) {
+                var timeZone = $EventCalendar.settings.timeZone;
+                var fromMoment = _fromTimeZone(fromDate, timeZone);
+                var pageEndMoment = _fromTimeZone(pageEndDate, timeZone);
+                var endMoment = _fromTimeZone($EventCalendar.settings.endDate, timeZone);
+                var eventInstances = [];
+                $.each(data || [], function (key, event) {
+                    var eventItem = new EventItem(event, $EventCalendar.settings.jsonDateFormat, _logEventError, timeZone);
+                    $.each(eventItem.getEventInstances(fromMoment, pageEndMoment), function (key, eventInstance) {
+                        // Each instance is listed once, in the page of its start date
+                        if (eventInstance.startDate.isBefore(fromMoment) || !eventInstance.startDate.isBefore(pageEndMoment)) {
+                            return;
+                        }
+                        if (eventInstance.startDate.isAfter(endMoment)) {
+                            return;
+                        }
+                        eventInstances.push(eventInstance);
+                    });
+                });
+                eventInstances.sort(function (aInstance, bInstance) {
+                    return aInstance.startDate - bInstance.startDate;
+                });
 
-            if (!$element.find('.bookingCalendar-slider').size()) {
-                $element.prepend($eventsCalendarSlider);
-                $eventsCalendarSlider.append($eventsCalendarMonthWrap);
-                $eventsCalendarSlider.append($eventsCalendarArrows);
-            } else {
-                $eventsCalendarSlider = $element.find('.bookingCalendar-slider');
-                $eventsCalendarSlider.append($eventsCalendarMonthWrap);
+                _addInstancesToAgenda($agenda, eventInstances);
+
+                agenda.loading = false;
+                agenda.ended = !pageEndDate.isBefore($EventCalendar.settings.endDate);
+                $agenda.find('.bookingCalendar-agendaLoading').hide();
+
+                if (agenda.ended) {
+                    if (!$agenda.find('.event-list-item').length) {
+                        $agenda.find('.bookingCalendar-agendaList').append('<li class="bookingCalendar-noEvents"><p>' + $EventCalendar.settings.textNoEvents + '</p></li>');
+                    }
+                } else if ($agenda[0].scrollHeight <= $agenda.innerHeight()) {
+                    // Fill the agenda until it can be scrolled
+                    _loadAgendaPage($agenda);
+                }
+            });
+        };
+
+        /**
+         * Shows the agenda (agenda view): the upcoming event instances grouped by day, loading the following
+         * months as the agenda is scrolled down
+         * @private
+         */
+        var _changeCalendarAgenda = function () {
+            var fromDate = $EventCalendar.settings.currentDate.clone().clearTime();
+            if (fromDate.isBefore($EventCalendar.settings.startDate)) {
+                fromDate = $EventCalendar.settings.startDate.clone();
             }
 
+            // Initialise the DOM for the agenda
+            var $eventsCalendarAgendaWrap = $("<div class='bookingCalendar-monthWrap bookingCalendar-agendaWrap'></div>");
+            var $eventsCalendarTitle = $("<div class='bookingCalendar-currentTitle'><span class='weekTitle'></span></div>");
+            var $agenda = $("<div class='bookingCalendar-agenda js-agenda'><ul class='bookingCalendar-agendaList'></ul><div class='bookingCalendar-agendaLoading'></div></div>");
+            var $eventsCalendarSlider = _initialiseSlider($eventsCalendarAgendaWrap).addClass('agenda');
+
             $element.find('.bookingCalendar-monthWrap.currentMonth').removeClass('currentMonth').addClass('oldMonth').hide();
-            $eventsCalendarMonthWrap.addClass('currentMonth').append($eventsCalendarTitle, $eventsCalendarDaysList);
+            $eventsCalendarAgendaWrap.addClass('currentMonth').append($eventsCalendarTitle, $agenda);
 
+            $eventsCalendarTitle.find('.weekTitle').text($EventCalendar.settings.textNextEvents);
+            $agenda.find('.bookingCalendar-agendaLoading').text($EventCalendar.settings.textLoading).hide();
 
+            $agenda.data('agenda', {
+                fromDate: fromDate,
+                nextMonth: new Date(fromDate.getFullYear(), fromDate.getMonth(), 1, 0, 0, 0),
+                loading: false,
+                ended: !fromDate.isBefore($EventCalendar.settings.endDate)
+            });
+            $agenda.on('scroll', function () {
+                if ($agenda.scrollTop() + $agenda.innerHeight() >= $agenda[0].scrollHeight - $EventCalendar.settings.agendaScrollThreshold) {
+                    _loadAgendaPage($agenda);
+                }
+            });
 
-            // Add calendar title
-            $eventsCalendarTitle.find('.monthTitle').html(dateToShow.toString($EventCalendar.settings.textCalendarTitle));
+            $eventsCalendarSlider.css('height', 'auto');
 
-            // Initialise multi-row display format
-            var calendarCells = [];
-            if ($EventCalendar.settings.showDayAsWeeks) {
-                $eventsCalendarDaysList.addClass('showAsWeek');
+            _loadAgendaPage($agenda);
+        };
 
-                // Show day names in the top row of the calendar
-                if ($EventCalendar.settings.showDayNameInCalendar) {
-                    $eventsCalendarDaysList.addClass('showDayNames');
-                    var dayOfWeek = Date.today().moveToDayOfWeek($EventCalendar.settings.startWeekOnMonday ? 1 : 0);
-                    for (dayCount = 0; dayCount < 7; dayCount += 1) {
-                        calendarCells.push('<li class="bookingCalendar-day-header">' + dayOfWeek.toString($EventCalendar.settings.dayNameFormat) + '</li>');
-                        dayOfWeek.addDays(1);
+        /**
+         * Shades the days of the year view by their occupancy: the part of their booking slots taken by events
+         * @param {object} $yearGrid   The grid of the year
+         * @param {Date} startDate     The first day of the year
+         * @param {Date} endDate       The first day of the next year
+         * @param {Array} data         The events data
+         * @private
+         */
+        var _addOccupancyToYearGrid = function ($yearGrid, startDate, endDate, data) {
+            var period = $EventCalendar.currentPeriod || 60;
+            var timeZone = $EventCalendar.settings.timeZone;
+            var eventsPeriodsByDay = {};
+
+            // Group the events periods by the days they take place on
+            $.each(data || [], function (key, event) {
+                var eventItem = new EventItem(event, $EventCalendar.settings.jsonDateFormat, _logEventError, timeZone);
+                $.each(eventItem.getEventInstances(_getZoneDayTime(startDate, 0, timeZone), _getZoneDayTime(endDate, 0, timeZone)), function (key, eventInstance) {
+                    var dateToBeChecked = _getZoneDay(eventInstance.startDate, timeZone);
+                    while (_getZoneDayTime(dateToBeChecked, 0, timeZone) <= eventInstance.endDate) {
+                        var day = dateToBeChecked.toString('yyyy-MM-dd');
+                        eventsPeriodsByDay[day] = eventsPeriodsByDay[day] || [];
+                        eventsPeriodsByDay[day].push([eventInstance.startDate, eventInstance.endDate]);
+                        dateToBeChecked.addDays(1);
                     }
-                }
+                });
+            });
 
-                // Add empty cells before the first day of the month
-                var emptyCellsToShow = dateToShow.clone().moveToFirstDayOfMonth().getDay();
-                if ($EventCalendar.settings.startWeekOnMonday) {
-                    emptyCellsToShow -= 1;
-                    if (emptyCellsToShow < 0) {
-                        emptyCellsToShow = 6;
-                    }
-                }
+            $yearGrid.find('.js-year-day').each(function () {
+                var $day = $(this);
+                var date = $day.data('date');
+                var daySlots = _getDaySlots(date, period, eventsPeriodsByDay[date.toString('yyyy-MM-dd')] || []);
+                var closedSlots = $.grep(daySlots, function (daySlot) {
+                    return daySlot.closed;
+                }).length;
+                var occupancy = daySlots.length ? closedSlots / daySlots.length : 0;
+
+                $day.removeClass('occupancy-0 occupancy-1 occupancy-2 occupancy-3 occupancy-4')
+                    .addClass('occupancy-' + Math.ceil(occupancy * 4))
+                    .toggleClass('closed', !daySlots.length)
+                    .attr('title', date.toString($EventCalendar.settings.textEventHeaderDayView) + ' ' + closedSlots + '/' + daySlots.length);
+            });
+        };
 
-                for (dayCount = 0; dayCount < emptyCellsToShow; dayCount += 1) {
-                    calendarCells.push('<li class="bookingCalendar-day empty"></li>');
+        /**
+         * Changes the year on the calendar (year view) and shades its days by occupancy
+         * @param {string} show Calendar year to show. One of 'current' for this year, 'prev' for last year, 'next' for next year,
+         *                      or 'month' for the year of the month shown
+         * @private
+         */
+        var _changeCalendarYear = function (show) {
+            var year;
+            var monthCount;
+
+            // Calculate the year to show
+            if (show === 'current') {
+                year = $EventCalendar.settings.currentDate.getFullYear();
+            } else {
+                year = parseInt($element.attr('data-current-year'), 10);
+                if (show === 'prev') {
+                    year -= 1;
+                } else if (show === 'next') {
+                    year += 1;
                 }
             }
 
-            // Add the day numbers
-            var daysInMonth = Date.getDaysInMonth(dateToShow.getFullYear(), dateToShow.getMonth());
-            var cdate = new Date(dateToShow.valueOf());
-            for (dayCount = 1; dayCount <= daysInMonth; dayCount += 1) {
-                cdate.addDays(dayCount-1);
-                $eventsCalendarDaysList.append(
-                    $('<li id="dayList_' + dayCount + '" rel="' + dayCount + '" class="bookingCalendar-day js-calendar-day"><a href="#">' + dayCount + '</a></li>').data('date', cdate)
+            var startDate = new Date(year, 0, 1, 0, 0, 0);
+            var endDate = new Date(year + 1, 0, 1, 0, 0, 0);
+            $element.attr('data-current-month', 0).attr('data-current-year', year);
+
+            // Initialise the DOM for the new year
+            var $eventsCalendarYearWrap = $("<div class='bookingCalendar-monthWrap bookingCalendar-yearWrap'></div>");
+            var $eventsCalendarTitle = $("<div class='bookingCalendar-currentTitle'><span class='weekTitle'></span></div>");
+            var $yearGrid = $("<div class='bookingCalendar-yearGrid'></div>");
+            var $eventsCalendarSlider = _initialiseSlider($eventsCalendarYearWrap);
+
+            for (monthCount = 0; monthCount < 12; monthCount += 1) {
+                var monthDate = new Date(year, monthCount, 1, 0, 0, 0);
+                $yearGrid.append(
+                    $("<div class='bookingCalendar-miniMonth'><a href='#' class='miniMonthTitle js-year-month'></a></div>")
+                        .find('.js-year-month').text(monthDate.toString($EventCalendar.settings.textYearMonthTitle)).data('date', monthDate).end()
+                        .append(_createDaysList(monthDate, true))
                 );
             }
 
+            $element.find('.bookingCalendar-monthWrap.currentMonth').removeClass('currentMonth').addClass('oldMonth').hide();
+            $eventsCalendarYearWrap.addClass('currentMonth').append($eventsCalendarTitle, $yearGrid);
 
-            $eventsCalendarSlider.height($eventsCalendarMonthWrap.height() + 'px');
+            // Add calendar title
+            $eventsCalendarTitle.find('.weekTitle').text(year);
 
-            // Add data for new month
-            if (show !== 'current') {
-                _getEvents($EventCalendar.settings.eventsLimit, year, month, false, show);
+            $eventsCalendarSlider.height($eventsCalendarYearWrap.height() + 'px');
+
+            // Add data for new year
+            var request = _startRequest('year');
+            _fetchEventsForPeriod(startDate, endDate, show, function (data) {
+                _addOccupancyToYearGrid($yearGrid, startDate, endDate, data);
+                _endRequest(request);
+            }, undefined, request);
+        };
+
+        /**
+         * Changes the period on the calendar according to the view (month, week, resource, agenda or year)
+         * @param {string} show Calendar period to show. One of 'current', 'prev' or 'next'
+         * @private
+         */
+        var _changeCalendarPeriod = function (show) {
+            if ($EventCalendar.currentView === 'week') {
+                _changeCalendarWeek(show);
+            } else if ($EventCalendar.currentView === 'resource') {
+                _changeCalendarResource(show);
+            } else if ($EventCalendar.currentView === 'agenda') {
+                _changeCalendarAgenda();
+            } else if ($EventCalendar.currentView === 'year') {
+                _changeCalendarYear(show);
+            } else {
+                _changeCalendarMonth(show);
             }
         };
 
@@ -960,6 +3703,7 @@ if (typeof DEBUG === 'undefined') {
             var specificMonth = (typeof month === "number") ? month : $EventCalendar.settings.currentDate.getMonth();
             var specificDay = (typeof day === "number") ? day : -1;
             var specificDate = (specificYear < 0 || specificMonth < 0 || specificDay < 0) ? $EventCalendar.settings.startDate : new Date(specificYear, specificMonth, specificDay, 0, 0, 0);
+            var timeZone = $EventCalendar.settings.timeZone;
             var listingStartDate;
             var listingEndDate;
             var dateToBeChecked;
@@ -1001,16 +3745,32 @@ if (typeof DEBUG === 'undefined') {
             }
 
             function _eventExistsInAllowedPeriod(startDate, endDate) {
-                var allowedStartDate = $EventCalendar.settings.startDate;
-                var allowedEndDate = $EventCalendar.settings.endDate;
+                var allowedStartDate = _fromTimeZone($EventCalendar.settings.startDate, timeZone);
+                var allowedEndDate = _fromTimeZone($EventCalendar.settings.endDate, timeZone);
                 return (startDate.between(allowedStartDate, allowedEndDate) || endDate.between(allowedStartDate, allowedEndDate));
             }
 
-            var eventInstance = eventItem.getFirstEventInstance();
-            if (eventInstance.listingNumberOfDays < 1) {
+            if (eventItem.listingNumberOfDays < 1) {
                 return false;
             }
-            while (eventInstance) {
+
+            // Only expand the event instances for the calendar period (and the days listing them)
+            var periodStartDate;
+            var periodEndDate;
+            if (specificYear < 0) {
+                periodStartDate = $EventCalendar.settings.startDate.clone();
+                periodEndDate = $EventCalendar.settings.endDate.clone().addMilliseconds(1);
+            } else if (specificMonth < 0) {
+                periodStartDate = new Date(specificYear, 0, 1, 0, 0, 0);
+                periodEndDate = new Date(specificYear + 1, 0, 1, 0, 0, 0);
+            } else {
+                periodStartDate = new Date(specificYear, specificMonth, 1, 0, 0, 0);
+                periodEndDate = new Date(specificYear, specificMonth + 1, 1, 0, 0, 0);
+            }
+            periodStartDate.addDays(-Math.max(0, eventItem.listingStartOffset + eventItem.listingNumberOfDays));
+            periodEndDate.addDays(Math.max(0, -eventItem.listingStartOffset) + 1);
+
+            $.each(eventItem.getEventInstances(_fromTimeZone(periodStartDate, timeZone), _fromTimeZone(periodEndDate, timeZone)), function (key, eventInstance) {
                 var eventExistsInAllowedPeriod = _eventExistsInAllowedPeriod(eventInstance.startDate, eventInstance.endDate);
 
                 // Run callback if event is allowed
@@ -1021,19 +3781,14 @@ if (typeof DEBUG === 'undefined') {
                     }
                 }
 
-                // Stop processing if event starts after this calendar period
-                if (EventItem.datePeriodIsInTheFuture(eventInstance, specificYear, specificMonth)) {
-                    break;
-                }
-
                 // Add event to calendar
                 if (eventExistsInAllowedPeriod) {
-                    listingStartDate = eventInstance.startDate.clone();
-                    listingStartDate = listingStartDate.addDays(eventInstance.listingStartOffset);
-                    listingEndDate = listingStartDate.clone();
-                    listingEndDate = listingEndDate.addDays(eventInstance.listingNumberOfDays - 1);
+                    // The days of the calendar are those of the venue
+                    var startDay = _getZoneDay(eventInstance.startDate, timeZone);
+                    listingStartDate = startDay.clone().addDays(eventInstance.listingStartOffset);
+                    listingEndDate = listingStartDate.clone().addDays(eventInstance.listingNumberOfDays - 1);
 
-                    eventIsCurrent = EventItem.datePeriodIsCurrent(eventInstance.startDate, eventInstance.endDate, specificYear, specificMonth, specificDay);
+                    eventIsCurrent = EventItem.datePeriodIsCurrent(startDay, _getZoneDay(eventInstance.endDate, timeZone), specificYear, specificMonth, specificDay);
 
                     // Add one list item for this instance
                     if (_needToAddEventToList()) {
@@ -1044,10 +3799,9 @@ if (typeof DEBUG === 'undefined') {
                     if (highlighter && (typeof highlighter === 'function')) {
                         // Highlight event days
                         if ($EventCalendar.settings.highlightEventDays) {
-                            dateToBeChecked = new Date(eventInstance.startDate);
-
-                            //console.log(eventInstance.endDate);
-                            while (dateToBeChecked.compareTo(eventInstance.endDate) <= 0) {
+                            dateToBeChecked = startDay.clone();
+                            var endMinutes = _getZoneDayMinutes(eventInstance.endDate, startDay, timeZone);
+                            for (var minutes = _getZoneDayMinutes(eventInstance.startDate, startDay, timeZone); minutes <= endMinutes; minutes += 1440) {
                                 if (_needToHighlightDayInCalendar()) {
                                     highlighter(eventInstance, dateToBeChecked.getDate());
                                 }
@@ -1067,16 +3821,15 @@ if (typeof DEBUG === 'undefined') {
                         }
                     }
                 }
-
-                eventInstance = eventItem.getNextEventInstance();
-            }
+            });
         };
 
         $EventCalendar.settings = {};
 
         var _initialiseLoadingMessage = function () {
             $element.addClass('bookingCalendar-wrap')
-                .append("<div class='bookingCalendar-list-wrap js-event-list' ><p class='bookingCalendar-subtitle'></p><div class='bookingCalendar-list-content'><ul class='bookingCalendar-list'></ul></div></div>");
+                .append("<div class='bookingCalendar-list-wrap js-event-list' ><p class='bookingCalendar-subtitle'></p><div class='bookingCalendar-list-content'><ul class='bookingCalendar-list'></ul></div></div>")
+                .append($("<span class='bookingCalendar-loading'></span>").text($EventCalendar.settings.textLoading).hide());
         };
 
         var _initialisePeriodList = function () {
@@ -1099,10 +3852,10 @@ if (typeof DEBUG === 'undefined') {
                 var lastMonthMove;
 
                 if ($(this).hasClass('next')) {
-                    _changeCalendarMonth("next");
+                    _changeCalendarPeriod("next");
                     lastMonthMove = '-=' + slideDistance;
                 } else {
-                    _changeCalendarMonth("prev");
+                    _changeCalendarPeriod("prev");
                     lastMonthMove = '+=' + slideDistance;
                 }
                 $element.find('.bookingCalendar-monthWrap.oldMonth').remove();
@@ -1125,12 +3878,24 @@ if (typeof DEBUG === 'undefined') {
             var $regWin = $element.append('<div class="registration-window js-registration-window"></div>').find('.js-registration-window');
             $.get('form.html', function(data) {
                 var date = new Date($EventCalendar.currentBookingWindow.valueOf());
+                var categoryId = ($EventCalendar.currentBookingCategory !== undefined) ? $EventCalendar.currentBookingCategory : $EventCalendar.settings.categoryId;
+                var categoryName = '';
+                $.each($EventCalendar.settings.categoriesForBooking || [], function (key, category) {
+                    if (($EventCalendar.currentBookingCategory !== undefined) && (String(category.code) === String(categoryId))) {
+                        categoryName = category.name + ' ';
+                    }
+                });
 
-                var strDateFrom = date.toString('MMMM dS HH:mm');
-                date.addMinutes($EventCalendar.currentPeriod);
+                var strDateFrom = _formatZoneDate(date, 'MMMM dS', 'HH:mm', $EventCalendar.settings.timeZone);
+                var strLocalTime = _getLocalTimeText(date);
+                date = _getBookingEndDate();
 
-                var strDateTo = date.toString('MMMM dS HH:mm');
-                $regWin.append(data).find('.js-form-title').text('Book time slot from ' + strDateFrom + ' to '+ strDateTo);
+                var strDateTo = _formatZoneDate(date, 'MMMM dS', 'HH:mm', $EventCalendar.settings.timeZone);
+                $regWin.append(data).find('.js-form-title').text('Book ' + categoryName + 'time slot from ' + strDateFrom + ' to '+ strDateTo + (strLocalTime ? ' (' + strLocalTime + ')' : ''));
+                $regWin.append($("<a href='#' class='bookingCalendar-form-cancel js-registration-cancel'></a>").text($EventCalendar.settings.textCancelBooking));
+                if ($EventCalendar.currentHold) {
+                    _startHoldCountdown($("<p class='bookingCalendar-holdCountdown'></p>").insertAfter($regWin.find('.js-form-title')));
+                }
 
                 $regWin.find('.js-event-add-form').submit(function() {
 
@@ -1138,18 +3903,261 @@ if (typeof DEBUG === 'undefined') {
                     $.each($(this).serializeArray(), function(k, val) {
                         data[val['name']] = val['value'];
                     });
-                    $EventCalendar.api.addEvent(data, function(data) {
+                    if ($EventCalendar.currentBookingCategory !== undefined) {
+                        data['categoryId'] = $EventCalendar.currentBookingCategory;
+                    }
+                    // The time range booked (several slots for a longer booking, the nights of a stay)
+                    data['startDate'] = _formatEventDate($EventCalendar.currentBookingWindow);
+                    data['endDate'] = _formatEventDate(_getBookingEndDate());
+                    // The server turns the hold into the booking
+                    var hold = $EventCalendar.currentHold;
+                    if (hold) {
+                        data['holdId'] = hold.id;
+                    }
+                    $EventCalendar.api.addEvent(data).done(function(data) {
+                        var timeZone = $EventCalendar.settings.timeZone;
+                        _invalidateEventsCache([_getZoneDay($EventCalendar.currentBookingWindow, timeZone), _getZoneDay(_getBookingEndDate(), timeZone)]);
+                        if ($EventCalendar.currentHold === hold) {
+                            clearInterval($EventCalendar.holdTimer);
+                            $EventCalendar.currentHold = null;
+                        }
                         if (typeof $EventCalendar.settings.bookingCallback == 'function') {
                             $EventCalendar.settings.bookingCallback();
                         } else {
                             document.location.reload();
                         }
+                    }).fail(function (error) {
+                        if (error && (error.type === 'validation')) {
+                            // The form can be corrected
+                            _showRestError(error, $regWin);
+                            return;
+                        }
+                        // Back to the slots, loaded again as the chosen one may be taken
+                        _releaseHold();
+                        _endRegister();
+                        _refreshAvailability();
+                        _showRestError(error);
                     });
                     return false;
                 });
             })
         };
 
+        /**
+         * Marks a slot as the first one of a range of slots to book
+         * @param {object} $slot  The slot
+         * @private
+         */
+        var _startSlotSelection = function ($slot) {
+            _cancelSlotSelection();
+            $EventCalendar.selectionStart = $slot.addClass('selected');
+        };
+
+        /**
+         * Forgets the first slot of a range of slots, and removes the last selection message
+         * @private
+         */
+        var _cancelSlotSelection = function () {
+            $element.find('.js-booking-link.selected').removeClass('selected');
+            $element.find('.bookingCalendar-selectionMessage').remove();
+            $EventCalendar.selectionStart = null;
+        };
+
+        /**
+         * Shows why a range of slots can't be booked, before the slots
+         * @param {object} $slot   A slot of the range
+         * @param {string} text    The message
+         * @private
+         */
+        var _showSelectionMessage = function ($slot, text) {
+            $("<p class='bookingCalendar-selectionMessage'></p>").text(text).insertBefore($slot.parent().closest('.bookingCalendar-list, .bookingCalendar-timeGrid, .bookingCalendar-resourceGrid'));
+        };
+
+        /**
+         * Returns the range of slots between two slots (in any order) if it can be booked: its slots follow one another
+         * in the same category with none of them closed, and its duration is one of the allowedDurations of the category
+         * @param {object} $startSlot  A slot at one end of the range
+         * @param {object} $endSlot    The slot at the other end of the range
+         * @returns {object}           The range: {$slots, startDate, endDate, duration (in minutes), categoryId}, or {error} with the reason it can't be booked
+         * @private
+         */
+        var _getSlotRange = function ($startSlot, $endSlot) {
+            var period = $EventCalendar.currentPeriod || 60;
+            if ($endSlot.data('date') < $startSlot.data('date')) {
+                var $slot = $startSlot;
+                $startSlot = $endSlot;
+                $endSlot = $slot;
+            }
+            var startDate = $startSlot.data('date');
+            var endDate = $endSlot.data('date');
+            var categoryId = $startSlot.data('category');
+
+            var $slots = $startSlot.parent().find('.js-booking-link').filter(function () {
+                var date = $(this).data('date');
+                return (date >= startDate) && (date <= endDate) && (String($(this).data('category')) === String(categoryId));
+            });
+            $slots = $($slots.get().sort(function (aSlot, bSlot) {
+                return $(aSlot).data('date') - $(bSlot).data('date');
+            }));
+            if (!$slots.filter($endSlot).length) {
+                return {error: $EventCalendar.settings.textSelectionNotFree};
+            }
+
+            var slotDate = startDate;
+            var slotsAreFree = true;
+            $slots.each(function () {
+                if ($(this).hasClass('closed') || ($(this).data('date').valueOf() !== slotDate.valueOf())) {
+                    slotsAreFree = false;
+                    return false;
+                }
+                slotDate = $(this).data('end-date');
+            });
+            if (!slotsAreFree) {
+                return {error: $EventCalendar.settings.textSelectionNotFree};
+            }
+
+            var duration = $slots.length * period;
+            var allowedDurations = _getCategorySetting('allowedDurations', categoryId);
+            if (allowedDurations && ($.inArray(duration, allowedDurations) < 0)) {
+                return {error: $EventCalendar.settings.textDurationNotAllowed};
+            }
+
+            return {$slots: $slots, startDate: startDate, endDate: slotDate, duration: duration, categoryId: categoryId};
+        };
+
+        /**
+         * Returns the nights taken by the events: from the day of their start to the day before their end
+         * (the day of their start for the events ending on the same day)
+         * @param {Array} data         The events data
+         * @param {Date} startDate     Start of the period to get the nights for
+         * @param {Date} endDate       End of the period to get the nights for
+         * @returns {object}           The taken nights, by 'yyyy-MM-dd' date
+         * @private
+         */
+        var _getTakenNights = function (data, startDate, endDate) {
+            var takenNights = {};
+            var timeZone = $EventCalendar.settings.timeZone;
+            $.each(data || [], function (key, event) {
+                var eventItem = new EventItem(event, $EventCalendar.settings.jsonDateFormat, _logEventError, timeZone);
+                $.each(eventItem.getEventInstances(_getZoneDayTime(startDate, 0, timeZone), _getZoneDayTime(endDate, 0, timeZone)), function (key, eventInstance) {
+                    var night = _getZoneDay(eventInstance.startDate, timeZone);
+                    var lastNight = _getZoneDay(eventInstance.endDate, timeZone).addDays(-1);
+                    if (lastNight < night) {
+                        lastNight = night;
+                    }
+                    while (night <= lastNight) {
+                        takenNights[night.toString('yyyy-MM-dd')] = true;
+                        night.addDays(1);
+                    }
+                });
+            });
+            return takenNights;
+        };
+
+        /**
+         * Returns true if the night of a day can be booked: not taken by an event, without blackouts,
+         * and with its check-in time in the booking window
+         * @param {Date} date            The day
+         * @param {object} takenNights   The taken nights (see _getTakenNights)
+         * @returns {boolean}
+         * @private
+         */
+        var _isNightAvailable = function (date, takenNights) {
+            var timeZone = $EventCalendar.settings.timeZone;
+            var checkInDate = _getZoneDayTime(date, _getMinutesOfDay($EventCalendar.settings.checkInTime), timeZone);
+            return !takenNights[date.toString('yyyy-MM-dd')] &&
+                !_getBlackoutsDuring(_getZoneDayTime(date, 0, timeZone), _getZoneDayTime(date, 1440, timeZone)).length &&
+                _isInBookingWindow(checkInDate);
+        };
+
+        /**
+         * Marks the days of the month grid whose night can't be booked, and the chosen check-in day
+         * @param {Array} data  The events data of the month
+         * @private
+         */
+        var _markNights = function (data) {
+            var $days = $element.find('.currentMonth .js-calendar-day');
+            if (!$days.length) {
+                return;
+            }
+            var takenNights = _getTakenNights(data, $days.first().data('date'), $days.last().data('date').clone().addDays(1));
+
+            $days.each(function () {
+                var date = $(this).data('date');
+                $(this).toggleClass('unavailable', !_isNightAvailable(date, takenNights))
+                    .toggleClass('checkIn', !!$EventCalendar.stayCheckIn && date.equals($EventCalendar.stayCheckIn));
+            });
+        };
+
+        /**
+         * Shows a message about the booking being chosen (e.g. the stay), under the calendar
+         * @param {string} text  The message
+         * @private
+         */
+        var _showCalendarMessage = function (text) {
+            $element.find('.bookingCalendar-selectionMessage').remove();
+            $("<p class='bookingCalendar-selectionMessage'></p>").text(text).insertAfter($element.find('.js-calendar-slider'));
+        };
+
+        /**
+         * Chooses a day of a stay (nightly booking): the check-in day first, then the check-out day (in any month)
+         * which opens the registration once every night of the stay is checked to be available
+         * @param {object} $day  The day of the month grid
+         * @private
+         */
+        var _selectStayDay = function ($day) {
+            var date = $day.data('date');
+            var checkInDate = $EventCalendar.stayCheckIn;
+
+            if (!checkInDate || (date <= checkInDate)) {
+                if ($day.hasClass('unavailable')) {
+                    _showCalendarMessage($EventCalendar.settings.textStayUnavailable);
+                    return;
+                }
+                $element.find('.checkIn').removeClass('checkIn');
+                $EventCalendar.stayCheckIn = date;
+                $day.addClass('checkIn');
+                _showCalendarMessage($EventCalendar.settings.textSelectCheckOut);
+                return;
+            }
+
+            var nights = _dateDiffInDays(checkInDate, date);
+            var maxStay = _getCategorySetting('maxStay');
+            if (nights < (_getCategorySetting('minStay') || 1)) {
+                _showCalendarMessage($EventCalendar.settings.textStayTooShort);
+                return;
+            }
+            if (maxStay && (nights > maxStay)) {
+                _showCalendarMessage($EventCalendar.settings.textStayTooLong);
+                return;
+            }
+
+            // The nights of the stay can run over months which are not loaded yet
+            _fetchEventsForPeriod(checkInDate, date, 'stay', function (data) {
+                var takenNights = _getTakenNights(data, checkInDate, date);
+                var night = checkInDate.clone();
+                while (night < date) {
+                    if (!_isNightAvailable(night, takenNights)) {
+                        // The stay has to be chosen again from its check-in day
+                        $element.find('.checkIn').removeClass('checkIn');
+                        $EventCalendar.stayCheckIn = null;
+                        _showCalendarMessage($EventCalendar.settings.textStayUnavailable);
+                        return;
+                    }
+                    night.addDays(1);
+                }
+
+                $element.find('.bookingCalendar-selectionMessage').remove();
+                $EventCalendar.stayCheckIn = null;
+                $EventCalendar.currentBookingWindow = _getZoneDayTime(checkInDate, _getMinutesOfDay($EventCalendar.settings.checkInTime), $EventCalendar.settings.timeZone);
+                $EventCalendar.currentBookingCategory = undefined;
+                $EventCalendar.currentBookingEndDate = _getZoneDayTime(date, _getMinutesOfDay($EventCalendar.settings.checkOutTime), $EventCalendar.settings.timeZone);
+                $EventCalendar.currentBookingDuration = ($EventCalendar.currentBookingEndDate - $EventCalendar.currentBookingWindow) / 60000;
+
+                _holdAndRegister();
+            });
+        };
+
         var _beginRegister = function() {
             $element.find('.js-event-list').hide();
             $element.find('.js-calendar-slider').hide();
@@ -1157,6 +4165,121 @@ if (typeof DEBUG === 'undefined') {
             _initRegistrationWindow();
         };
 
+        /**
+         * Returns the end of the booking being made: the check-out of a stay, or the end of the slots chosen
+         * @returns {Date}
+         * @private
+         */
+        var _getBookingEndDate = function () {
+            if ($EventCalendar.currentBookingEndDate) {
+                return $EventCalendar.currentBookingEndDate.clone();
+            }
+            return $EventCalendar.currentBookingWindow.clone().addMinutes($EventCalendar.currentBookingDuration || $EventCalendar.currentPeriod);
+        };
+
+        /**
+         * Closes the registration window and shows the calendar again
+         * @private
+         */
+        var _endRegister = function () {
+            $element.find('.js-registration-window').remove();
+            $element.find('.js-calendar-slider').show();
+            $element.find('.js-event-list').show();
+            _cancelSlotSelection();
+        };
+
+        /**
+         * Loads the booking slots (or nights) shown again from the server, e.g. once a slot turns out to be taken
+         * @private
+         */
+        var _refreshAvailability = function () {
+            var day = $EventCalendar.currentDay;
+            _invalidateEventsCache();
+            if ($EventCalendar.currentView === 'resource') {
+                _changeCalendarResource('refresh');
+            } else if (day && !$EventCalendar.settings.nightlyBooking) {
+                _getEvents(false, day.getFullYear(), day.getMonth(), day.getDate(), 'day');
+            } else {
+                _getEvents($EventCalendar.settings.eventsLimit, parseInt($element.attr('data-current-year'), 10), parseInt($element.attr('data-current-month'), 10), false, 'month');
+            }
+        };
+
+        /**
+         * Holds the booking chosen with rest.holdSlot (bookingHolds setting), so that nobody else can take it while the form
+         * is filled in, and opens the registration. Should the hold fail, the availability is loaded again instead
+         * @private
+         */
+        var _holdAndRegister = function () {
+            var api = $EventCalendar.api;
+            if (!$EventCalendar.settings.bookingHolds || !api || !api.holdSlot) {
+                _beginRegister();
+                return;
+            }
+
+            var startDate = $EventCalendar.currentBookingWindow;
+            var endDate = _getBookingEndDate();
+            var categoryId = ($EventCalendar.currentBookingCategory !== undefined) ? $EventCalendar.currentBookingCategory : $EventCalendar.settings.categoryId;
+            var holdFailed = function (error) {
+                _cancelSlotSelection();
+                _refreshAvailability();
+                if (error && (error.type !== 'conflict')) {
+                    _showRestError(error);
+                } else {
+                    _showCalendarMessage($EventCalendar.settings.textHoldFailed);
+                }
+            };
+
+            api.holdSlot(categoryId, _formatEventDate(startDate), _formatEventDate(endDate), $EventCalendar.settings.holdTime).done(function (data) {
+                if (!data || !data.id) {
+                    holdFailed();
+                    return;
+                }
+                $EventCalendar.currentHold = {
+                    id: data.id,
+                    expires: new Date().getTime() + (parseInt(data.expiresIn, 10) || $EventCalendar.settings.holdTime * 60) * 1000
+                };
+                _beginRegister();
+            }).fail(holdFailed);
+        };
+
+        /**
+         * Releases the current hold, if any, and stops its countdown
+         * @private
+         */
+        var _releaseHold = function () {
+            var hold = $EventCalendar.currentHold;
+            clearInterval($EventCalendar.holdTimer);
+            $EventCalendar.currentHold = null;
+            if (hold && $EventCalendar.api.releaseHold) {
+                $EventCalendar.api.releaseHold(hold.id);
+            }
+        };
+
+        /**
+         * Shows the time left on the current hold, every second, and ends the registration when the hold expires
+         * @param {object} $countdown  The element showing the time left
+         * @private
+         */
+        var _startHoldCountdown = function ($countdown) {
+            var hold = $EventCalendar.currentHold;
+            var showTimeLeft = function () {
+                var seconds = Math.max(Math.ceil((hold.expires - new Date().getTime()) / 1000), 0);
+                $countdown.text($EventCalendar.settings.textHoldCountdown + ' ' + Math.floor(seconds / 60) + ':' + ('0' + (seconds % 60)).slice(-2));
+                if (!seconds) {
+                    _releaseHold();
+                    _endRegister();
+                    _showCalendarMessage($EventCalendar.settings.textHoldExpired);
+                    _refreshAvailability();
+                }
+            };
+
+            clearInterval($EventCalendar.holdTimer);
+            showTimeLeft();
+            if ($EventCalendar.currentHold === hold) {
+                $EventCalendar.holdTimer = setInterval(showTimeLeft, 1000);
+            }
+        };
+
         var _beginSelectDate = function (year, month, day) {
             //if ($EventCalendar.settings.initialEventList && $EventCalendar.settings.initialEventList === 'day') {
             //    _getEvents($EventCalendar.settings.eventsLimit, year, month, day, 'day');
@@ -1172,7 +4295,28 @@ if (typeof DEBUG === 'undefined') {
         var _initialise = function () {
             $EventCalendar.settings = $.extend({}, $.fn.bookingCalendar.defaults, options);
 
+            if ($EventCalendar.settings.timeZone) {
+                try {
+                    _getTimeZoneOffset(new Date(), $EventCalendar.settings.timeZone);
+                } catch (e) {
+                    if (DEBUG) {
+                        console.log("Invalid time zone: " + $EventCalendar.settings.timeZone);
+                    }
+                    $EventCalendar.settings.timeZone = false;
+                }
+                // The calendar opens on the venue's today unless told otherwise
+                if (!(options && options.currentDate)) {
+                    $EventCalendar.settings.currentDate = _getToday();
+                }
+            }
+
+            if (typeof $EventCalendar.settings.rest === 'string') {
+                // The url of an action-style handler
+                $EventCalendar.settings.rest = (typeof CalendarRest !== 'undefined') ? $.extend({}, CalendarRest, {'HANDLER': $EventCalendar.settings.rest}) : false;
+            }
             $EventCalendar.api = $EventCalendar.settings.rest;
+            $EventCalendar.currentView = $EventCalendar.settings.view;
+            blackoutPeriods = _parseBlackouts($EventCalendar.settings.blackouts);
 
             _initialiseLoadingMessage();
             _initialisePeriodList();
@@ -1189,6 +4333,13 @@ if (typeof DEBUG === 'undefined') {
 
             $element.on('click', '.bookingCalendar-day a', function (e) {
                 e.preventDefault();
+                if ($EventCalendar.settings.nightlyBooking) {
+                    _selectStayDay($(this).parent());
+                    return;
+                }
+                if ($(this).parent().hasClass('closed')) {
+                    return;
+                }
                 var year = parseInt($element.attr('data-current-year'), 10);
                 var month = parseInt($element.attr('data-current-month'), 10);
                 var day = parseInt($(this).parent().attr('rel'), 10);
@@ -1208,14 +4359,72 @@ if (typeof DEBUG === 'undefined') {
                 $EventCalendar.currentPeriod = $(this).data('period');
                 $('.js-period-list').hide();
 
-                _changeCalendarMonth("current");
+                _changeCalendarPeriod("current");
                 _beginSelectDate();
             });
 
-            $element.on('click', '.js-booking-link', function () {
-                $EventCalendar.currentBookingWindow = $(this).data('date');
+            $element.on('click', '.js-year-month, .js-year-day', function (e) {
+                e.preventDefault();
+                var date = $(this).data('date');
+                $EventCalendar.currentView = 'month';
+                _changeCalendarMonth('month', date);
+                $element.find('.bookingCalendar-monthWrap.oldMonth').remove();
+            });
 
-                _beginRegister();
+            $element.on('click', '.js-year-title', function (e) {
+                e.preventDefault();
+                $EventCalendar.currentView = 'year';
+                _changeCalendarYear('month');
+                $element.find('.bookingCalendar-monthWrap.oldMonth').remove();
+            });
+
+            $element.on('click', '.js-grid-day', function (e) {
+                e.preventDefault();
+                var date = $(this).data('date');
+                _getEvents(false, date.getFullYear(), date.getMonth(), date.getDate(), "day");
+                $element.find('.js-event-list').show();
+            });
+
+            $element.on('click', '.js-error-banner', function () {
+                $(this).remove();
+            });
+
+            $element.on('click', '.js-registration-cancel', function (e) {
+                e.preventDefault();
+                _releaseHold();
+                _endRegister();
+            });
+
+            $element.on('click', '.js-booking-link', function (e) {
+                var $slot = $(this);
+                if ($slot.hasClass('closed')) {
+                    return;
+                }
+
+                // A range of slots is selected with a click on its first slot and one on its last slot
+                var $startSlot = $EventCalendar.selectionStart;
+                if ($startSlot && !$.contains($element[0], $startSlot[0])) {
+                    $startSlot = null;
+                }
+                if (!$startSlot && ($EventCalendar.settings.multiSlotSelection || e.shiftKey)) {
+                    _startSlotSelection($slot);
+                    return;
+                }
+
+                var slotRange = _getSlotRange($startSlot || $slot, $slot);
+                _cancelSlotSelection();
+                if (slotRange.error) {
+                    _showSelectionMessage($slot, slotRange.error);
+                    return;
+                }
+                slotRange.$slots.addClass('selected');
+
+                $EventCalendar.currentBookingWindow = slotRange.startDate;
+                $EventCalendar.currentBookingCategory = slotRange.categoryId;
+                $EventCalendar.currentBookingDuration = slotRange.duration;
+                $EventCalendar.currentBookingEndDate = slotRange.endDate;
+
+                _holdAndRegister();
             });
 
             $element.find('.bookingCalendar-list').on('click', '.eventTitle', function (e) {
@@ -1246,6 +4455,13 @@ if (typeof DEBUG === 'undefined') {
             });
 
             _beginOnClientInterface();
+
+            // Nights are booked straight on the month grid, without a slot length to choose
+            if ($EventCalendar.settings.nightlyBooking) {
+                $element.find('.js-period-list').hide();
+                _changeCalendarPeriod("current");
+                _beginSelectDate();
+            }
         };
 
         _initialise();
@@ -1281,16 +4497,20 @@ if (typeof DEBUG === 'undefined') {
      * @type {{eventsJson: string, jsonDateFormat: string, jsonData: string, cacheJson: boolean, sortAscending: boolean, eventsLimit: number, dayNameFormat: string, textCalendarTitle: string, textEventHeaderDayView: string, textEventHeaderMonthView: string, textNoEvents: string, textNext: string, textPrevious: string, textNextEvents: string, textGoToEventUrl: string, showDayAsWeeks: boolean, startWeekOnMonday: boolean, showDayNameInCalendar: boolean, showDescription: boolean, collapsible: boolean, onlyOneDescription: boolean, openEventInNewWindow: boolean, eventsScrollable: boolean, initialEventList: boolean|string, currentDate: Date, moveSpeed: number, moveOpacity: number}}
      */
     $.fn.bookingCalendar.defaults = {
-        rest: "/events.json",
+        rest: false,            // data source adapter (see calendar.rest.js): CalendarRest, new CalendarRestResource(url) or new CalendarMemory(events)
         jsonData: "",          // to load and inline json (not ajax calls)
         jsonDateFormat: "timestamp", // either timestamp or a format as specified here: https://code.google.com/p/datejs/wiki/FormatSpecifiers
         cacheJson: false,        // if true plugin get a json only first time and after plugin filter events
-                                // if false plugin get a new json on each date change
+                                // if false plugin get a new json on each date change (eventsjson url, see restCache for the rest setting)
+        restCache: false,       // if true the rest data is loaded by whole months, and the days are served from memory
+        restCacheTime: 5,       // minutes a month loaded with restCache is kept (0 keeps it until the events are changed)
+        prefetchMonths: false,  // with restCache, the months before and after the one loaded are loaded in the background
         sortAscending: true,        // false to sort descending
         onBeforeInitialiseList: false,       // Called just before the events are added to the calendar
         onAfterInitialiseList: false,       // Called just after the events are added to the calendar
         onEventAddedToList: false,       // Called whenever an event has been added to the list
         onBeforeAddingEvent: false,       // Called whenever an event is being added to the calendar
+        onError: false,         // Called with the error {type, message, status} whenever a rest call fails, return false to show no error banner
         eventsLimit: 100,
         dayNameFormat: "ddd",
         textCalendarTitle: "MMMM yyyy",
@@ -1301,6 +4521,18 @@ if (typeof DEBUG === 'undefined') {
         textPrevious: "prev",
         textNextEvents: "Next date:",
         textGoToEventUrl: "See the event",
+        textWeekTitle: "MMM d, yyyy",
+        weekDayFormat: "ddd d",
+        timeFormat: "HH:mm",
+        view: "month",          // 'month' for a month grid, 'week' for a week time grid, 'resource' for the categoriesForBooking rows,
+                                // 'agenda' for the upcoming events grouped by day, or 'year' for the months of a year shaded by occupancy
+        textYearMonthTitle: "MMMM",
+        resourceRange: "day",   // 'day' or 'week' shown across the rows of the resource view
+        textAgendaDay: "dddd, MMMM d",
+        textLoading: "Loading...",
+        agendaScrollThreshold: 50,   // distance in pixels from the bottom of the agenda at which the next month is loaded
+        dayView: "list",        // 'list' to list the events of a clicked day, or 'timeline' for a day time grid
+        hourHeight: 40,         // height in pixels of an hour in the time grid views
         highlightEventDays: true,
         highlightListingDays: false,
         showDayAsWeeks: true,
@@ -1318,11 +4550,61 @@ if (typeof DEBUG === 'undefined') {
         endDate: new Date(2019, 0, 1, 0, 0, 0),
         startTime: "08:00",
         endTime: "21:00",
+        businessHours: null,    // opening hours by week day (Sunday is 0), each a list of intervals - days left out are closed
+                                // e.g. {1: [['08:00', '12:30'], ['13:30', '21:00']], 6: [['10:00', '16:00']]}
+                                // null to open every day from startTime to endTime (which remain the hours shown in the time grids)
+        blackouts: [],          // dates on which booking is impossible: {startDate, endDate, reason, categoryId} (endDate and categoryId optional)
+                                // e.g. [{startDate: '2018-12-25', reason: 'Christmas'}, {startDate: '2018-05-02 08:00:00', endDate: '2018-05-02 12:00:00', reason: 'Maintenance', categoryId: '2'}]
+        restBlackouts: false,   // true to also load the blackouts of each month with rest.getBlackouts
+        minNotice: 0,           // minutes from now before which nothing can be booked (past slots can never be booked)
+        maxAdvance: 0,          // days from now after which nothing can be booked (0 for no limit)
+        capacity: 1,            // number of bookings a slot takes at the same time, can be set for each of the categoriesForBooking
+        multiSlotSelection: false,  // true to book a range of slots with a click on its first slot and one on its last slot
+                                    // (when false a shift-click on the first slot starts a range)
+        allowedDurations: null,     // durations in minutes a range of slots can be booked for, e.g. [60, 90, 120] (null for any)
+                                    // can be set for each of the categoriesForBooking
+        textSelectionNotFree: "The selected time slots are not all free",
+        nightlyBooking: false,  // true to book nights (booking mode): a check-in day and a check-out day chosen on the month grid
+        checkInTime: "14:00",
+        checkOutTime: "11:00",
+        minStay: 1,             // minimum number of nights of a stay, can be set for each of the categoriesForBooking
+        maxStay: 0,             // maximum number of nights of a stay (0 for no limit), can be set for each of the categoriesForBooking
+        textSelectCheckOut: "Select your check-out day",
+        textStayUnavailable: "These nights are not all available",
+        textStayTooShort: "This stay is too short",
+        textStayTooLong: "This stay is too long",
+        textDurationNotAllowed: "This duration can't be booked",
+        textPlacesLeft: "places left",
+        bufferBefore: 0,        // minutes blocked before each booking (setup time), can be set for each of the categoriesForBooking
+        bufferAfter: 0,         // minutes blocked after each booking (cleaning time), can be set for each of the categoriesForBooking
         allowPartialEvents: false,
         bookingMode: false,
         moveSpeed: 500,         // speed of month move when you click on a new date
         moveOpacity: 0.15,         // month and events fadeOut to this opacity
         timePeriods: [15, 30, 60, 90, 120],         // time periods for booking
+        availability: false,    // true to load only the busy periods with rest.getAvailability in booking mode (no event details)
+        textBusy: "Booked",
+        bookingHolds: false,    // true to hold the chosen slots with rest.holdSlot while the booking form is filled in
+        holdTime: 10,           // minutes of a hold asked for (the server answers {id, expiresIn (seconds)})
+        textHoldCountdown: "This slot is held for you for",
+        textHoldExpired: "Your hold on the slot has expired, please choose it again",
+        textHoldFailed: "This slot has just been taken, please choose another one",
+        textCancelBooking: "Cancel",
+        cancelBookings: false,  // true to add a cancel action to the events list items
+        cancellationCutoff: 0,  // minutes before the start of a booking from which it can't be cancelled any more (e.g. 1440 for 24 hours)
+        textCancelEvent: "Cancel booking",
+        textCancelConfirm: "Do you really want to cancel this booking?",
+        textCancelReason: "Reason (optional)",
+        textCancelYes: "Yes, cancel it",
+        textCancelNo: "No, keep it",
+        textCancelTooLate: "This booking can't be cancelled any more",
+        textErrorValidation: "The data sent is not valid",
+        textErrorConflict: "This has just been changed by someone else",
+        textErrorNetwork: "The server can't be reached, please check your connection",
+        textErrorServer: "Something went wrong on the server, please try again",
+        timeZone: false,        // IANA time zone of the venue (e.g. 'Europe/Prague') in which the text dates are read and the days and slots shown, false for the browser time zone
+        showLocalTime: false,   // true to add the browser time to the slots when it differs from the venue time
+        textLocalTime: "your time",
         categoryId: false,
         participantId: false,
         categoriesForBooking: [
@@ -1334,7 +4616,8 @@ if (typeof DEBUG === 'undefined') {
                 'name': 'Room 2',
                 'code': '2'
             }
-        ]         // ctegories, rooms
+        ]         // ctegories, rooms - each with a name, a code, and optionally its own capacity, allowedDurations, bufferBefore,
+                  // bufferAfter, minStay and maxStay
     };
 
     /**
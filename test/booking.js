@@ -0,0 +1,326 @@
+/*
+ Checks of the booking slots: the slots of the opening hours of a day, less the blackouts, the slots taken by
+ the events and the buffers around them up to the capacity of the slots, the booking window, the ranges of
+ slots booked, and the stays of the nightly booking
+ */
+
+/**
+ * Opens the booking slots of a day on a booking calendar and runs a function with it
+ * @param {object} options       The calendar options, added to booking one hour slots from 08:00 to 12:00 without events
+ * @param {Date} day             The day
+ * @param {function} callback    Called with the calendar element
+ * @returns {*}                  What the callback returns
+ */
+var withBookingDay = function (options, day, callback) {
+    return withCalendar($.extend({
+        bookingMode: true,
+        jsonData: [],
+        jsonDateFormat: 'yyyy-MM-dd HH:mm:ss',
+        currentDate: day,
+        startDate: day.clone().addMonths(-1),
+        endDate: day.clone().addMonths(1),
+        startTime: '08:00',
+        endTime: '12:00',
+        timePeriods: [60]
+    }, options), function ($calendar) {
+        $calendar.find('.js-period-selector').first().click();
+        $calendar.find('.currentMonth #dayList_' + day.getDate() + ' a').click();
+        return callback($calendar);
+    });
+};
+
+/**
+ * Returns the booking slots listed by a calendar
+ * @param {object} $calendar   The calendar element
+ * @returns {Array}            The slots ('HH:mm', followed by ' closed' for the slots which can't be booked)
+ */
+var getSlots = function ($calendar) {
+    return $calendar.find('.bookingCalendar-list .js-booking-link').map(function () {
+        return $.trim($(this).text()) + ($(this).hasClass('closed') ? ' closed' : '');
+    }).get();
+};
+
+/**
+ * Returns a check that the slots listed for a day are the expected ones
+ * @param {object} options      The calendar options (see withBookingDay)
+ * @param {Date} day            The day
+ * @param {Array} expectedSlots The slots (see getSlots)
+ * @returns {function}
+ */
+var slotsAre = function (options, day, expectedSlots) {
+    return function () {
+        var slots = withBookingDay(options, day, getSlots);
+        return (slots.join(', ') === expectedSlots.join(', ')) || ('got ' + (slots.join(', ') || 'none'));
+    };
+};
+
+/**
+ * Clicks slots of a day on a booking calendar, and returns what is booked
+ * @param {object} options     The calendar options (see withBookingDay)
+ * @param {Date} day           The day
+ * @param {Array} slotTimes    The times of the slots to click ('HH:mm')
+ * @param {boolean=} shiftKey  True to click the first slot with the shift key down [Optional]
+ * @returns {string}           The booking ('HH:mm-HH:mm, minutes'), or the message shown instead
+ */
+var bookSlots = function (options, day, slotTimes, shiftKey) {
+    return withBookingDay(options, day, function ($calendar) {
+        $.each(slotTimes, function (key, slotTime) {
+            $calendar.find('.bookingCalendar-list .js-booking-link').filter(function () {
+                return $.trim($(this).text()).indexOf(slotTime) === 0;
+            }).trigger($.Event('click', {shiftKey: !!shiftKey && !key}));
+        });
+        var eventCalendar = $calendar.data('eventCalendar');
+        var message = $calendar.find('.bookingCalendar-selectionMessage').text();
+        if (message || !eventCalendar.currentBookingWindow) {
+            return message || 'nothing';
+        }
+        return eventCalendar.currentBookingWindow.toString('HH:mm') + '-' + eventCalendar.currentBookingEndDate.toString('HH:mm') + ', ' +
+            eventCalendar.currentBookingDuration;
+    });
+};
+
+/**
+ * Returns a check that clicking slots of a day books the expected ones
+ * @param {object} options          The calendar options (see withBookingDay)
+ * @param {Date} day                The day
+ * @param {Array} slotTimes         The times of the slots to click ('HH:mm')
+ * @param {string} expectedBooking  The booking (see bookSlots)
+ * @param {boolean=} shiftKey       True to click the first slot with the shift key down [Optional]
+ * @returns {function}
+ */
+var bookingIs = function (options, day, slotTimes, expectedBooking, shiftKey) {
+    return function () {
+        var booking = bookSlots(options, day, slotTimes, shiftKey);
+        return (booking === expectedBooking) || ('got ' + booking);
+    };
+};
+
+/**
+ * Opens a month on a nightly booking calendar and runs a function with it
+ * @param {object} options       The calendar options, added to the nightly booking ones without events
+ * @param {Date} month           The first day of the month
+ * @param {function} callback    Called with the calendar element
+ * @returns {*}                  What the callback returns
+ */
+var withStayMonth = function (options, month, callback) {
+    return withCalendar($.extend({
+        bookingMode: true,
+        nightlyBooking: true,
+        jsonData: [],
+        jsonDateFormat: 'yyyy-MM-dd HH:mm:ss',
+        currentDate: month,
+        startDate: month.clone().addMonths(-1),
+        endDate: month.clone().addMonths(2)
+    }, options), callback);
+};
+
+/**
+ * Clicks days of a month on a nightly booking calendar, and returns the stay booked
+ * @param {object} options   The calendar options (see withStayMonth)
+ * @param {Date} month       The first day of the month
+ * @param {Array} days       The days to click (day numbers)
+ * @returns {string}         The stay ('MM-dd HH:mm - MM-dd HH:mm'), or the message shown instead
+ */
+var bookStay = function (options, month, days) {
+    return withStayMonth(options, month, function ($calendar) {
+        $.each(days, function (key, day) {
+            $calendar.find('.currentMonth #dayList_' + day + ' a').click();
+        });
+        var eventCalendar = $calendar.data('eventCalendar');
+        var message = $calendar.find('.bookingCalendar-selectionMessage').text();
+        if (message || !eventCalendar.currentBookingWindow) {
+            return message || 'nothing';
+        }
+        return eventCalendar.currentBookingWindow.toString('MM-dd HH:mm') + ' - ' + eventCalendar.currentBookingEndDate.toString('MM-dd HH:mm');
+    });
+};
+
+/**
+ * Returns a check that clicking days of a month books the expected stay
+ * @param {object} options       The calendar options (see withStayMonth)
+ * @param {Date} month           The first day of the month
+ * @param {Array} days           The days to click (day numbers)
+ * @param {string} expectedStay  The stay (see bookStay)
+ * @returns {function}
+ */
+var stayIs = function (options, month, days, expectedStay) {
+    return function () {
+        var stay = bookStay(options, month, days);
+        return (stay === expectedStay) || ('got ' + stay);
+    };
+};
+
+/**
+ * Returns the classes and tooltip of a day of the month grid of a booking calendar
+ * @param {object} options   The calendar options (see withBookingDay)
+ * @param {Date} day         The day
+ * @returns {string}         The classes of the day among closed, blackout and partial, and its tooltip
+ */
+var getDayMarks = function (options, day) {
+    return withBookingDay(options, day, function ($calendar) {
+        var $day = $calendar.find('.currentMonth #dayList_' + day.getDate());
+        return $.grep(['closed', 'blackout', 'partial'], function (className) {
+            return $day.hasClass(className);
+        }).join(' ') + ' (' + ($day.attr('title') || '') + ')';
+    });
+};
+
+/**
+ * Tells whether a day is shown closed on the month grid of a booking calendar
+ * @param {object} options   The calendar options (see withBookingDay)
+ * @param {Date} day         The day
+ * @returns {boolean}
+ */
+var isDayClosed = function (options, day) {
+    return withBookingDay(options, day, function ($calendar) {
+        return $calendar.find('.currentMonth #dayList_' + day.getDate()).hasClass('closed');
+    });
+};
+
+$(document).ready(function () {
+    // A Monday to book, some time ahead of now
+    var monday = Date.today().addDays(7).moveToDayOfWeek(1);
+
+    // Opening hours: without businessHours the slots keep their grid from midnight up to the end time,
+    // with businessHours they fit in each interval of the week day
+    check('Without business hours the slots keep their grid from midnight', slotsAre({timePeriods: [90]}, monday,
+        ['09:00', '10:30', '12:00']));
+    check('Without business hours a slot starts at the end time', slotsAre({}, monday,
+        ['08:00', '09:00', '10:00', '11:00', '12:00']));
+    check('Business hours slots start at the opening of each interval and fit in it', slotsAre({
+        businessHours: {1: [['08:00', '10:30'], ['11:15', '13:30']]},
+        endTime: '14:00'
+    }, monday, ['08:00', '09:00', '11:15', '12:15']));
+    check('The days left out of the business hours are closed', function () {
+        return (isDayClosed({businessHours: {2: [['08:00', '12:00']]}}, monday) && !isDayClosed({businessHours: {1: [['08:00', '12:00']]}}, monday)) ||
+            'open on a day left out, or closed on an open day';
+    });
+
+    // Blackouts: a whole day closes it, a part of a day leaves out the slots it overlaps
+    var mondayText = monday.toString('yyyy-MM-dd');
+    check('A blackout day is closed with its reason', function () {
+        var marks = getDayMarks({blackouts: [{startDate: mondayText, reason: 'Holiday'}]}, monday);
+        return (marks === 'closed blackout (Holiday)') || ('got ' + marks);
+    });
+    var maintenance = {blackouts: [{startDate: mondayText + ' 09:30:00', endDate: mondayText + ' 10:30:00', reason: 'Maintenance'}]};
+    check('A part of a day blacked out leaves the day open', function () {
+        var marks = getDayMarks(maintenance, monday);
+        return (marks === 'blackout partial (Maintenance)') || ('got ' + marks);
+    });
+    check('The slots overlapping a blackout are left out', slotsAre(maintenance, monday, ['08:00', '11:00', '12:00']));
+    check('The blackouts of another category leave the slots', slotsAre({
+        categoryId: '1',
+        blackouts: [{startDate: mondayText, categoryId: '2'}]
+    }, monday, ['08:00', '09:00', '10:00', '11:00', '12:00']));
+    check('The blackouts of each month are loaded once through the rest adapter', function () {
+        var loadedMonths = [];
+        var rest = $.extend(new CalendarMemory(), {
+            getBlackouts: function (categoryId, year, month, callback) {
+                var data = [{startDate: mondayText + ' 08:00:00', endDate: mondayText + ' 10:00:00'}];
+                loadedMonths.push(year + '-' + (month + 1));
+                if (callback) callback(data);
+                return $.Deferred().resolve(data).promise();
+            }
+        });
+        var slots = withBookingDay({rest: rest, restBlackouts: true}, monday, function ($calendar) {
+            $calendar.find('.arrow.next').click();
+            $calendar.find('.arrow.prev').click();
+            $calendar.find('.currentMonth #dayList_' + monday.getDate() + ' a').click();
+            return getSlots($calendar);
+        });
+        var expectedMonths = [monday.toString('yyyy-M'), monday.clone().addMonths(1).toString('yyyy-M')];
+        return ((slots.join(', ') === '10:00, 11:00, 12:00') && (loadedMonths.join(' ') === expectedMonths.join(' '))) ||
+            ('got ' + slots.join(', ') + ' loading ' + loadedMonths.join(' '));
+    });
+
+    // Events and buffers: a slot is taken by the events during it or ending when it starts, extended by the buffers
+    var earlyEvent = [{id: 1, title: 'Early', startDate: mondayText + ' 08:00:00', endDate: mondayText + ' 08:30:00'}];
+    var lateEvent = [{id: 1, title: 'Late', startDate: mondayText + ' 11:15:00', endDate: mondayText + ' 11:45:00'}];
+    check('An event ending when a slot starts takes it', slotsAre({
+        jsonData: [{id: 1, title: 'Hour', startDate: mondayText + ' 08:00:00', endDate: mondayText + ' 09:00:00'}]
+    }, monday, ['08:00 closed', '09:00 closed', '10:00', '11:00', '12:00']));
+    check('Without buffers an event takes its slots only', slotsAre({jsonData: earlyEvent}, monday,
+        ['08:00 closed', '09:00', '10:00', '11:00', '12:00']));
+    check('The buffer after an event takes the following slots', slotsAre({jsonData: earlyEvent, bufferAfter: 60}, monday,
+        ['08:00 closed', '09:00 closed', '10:00', '11:00', '12:00']));
+    check('The buffer before an event takes the previous slots', slotsAre({jsonData: lateEvent, bufferBefore: 60}, monday,
+        ['08:00', '09:00', '10:00 closed', '11:00 closed', '12:00']));
+    check('The buffers of a category replace the settings', slotsAre({
+        jsonData: earlyEvent,
+        bufferAfter: 180,
+        categoryId: '1',
+        categoriesForBooking: [{name: 'Room 1', code: '1', bufferAfter: 60}]
+    }, monday, ['08:00 closed', '09:00 closed', '10:00', '11:00', '12:00']));
+
+    // Booking window: the slots sooner than minNotice or later than maxAdvance can't be booked, nor the past ones
+    var daysToMonday = Math.round((monday - Date.today()) / 86400000);
+    check('The slots sooner than the minimum notice are closed', slotsAre({
+        minNotice: Math.round((monday.clone().set({hour: 9, minute: 30}) - new Date()) / 60000)
+    }, monday, ['08:00 closed', '09:00 closed', '10:00', '11:00', '12:00']));
+    check('The days later than the maximum advance are closed', function () {
+        return (isDayClosed({maxAdvance: daysToMonday - 1}, monday) && !isDayClosed({maxAdvance: daysToMonday + 1}, monday)) ||
+            'open after the maximum advance, or closed before it';
+    });
+    check('A negative minimum notice leaves the past days closed', function () {
+        return isDayClosed({minNotice: -30 * 1440}, monday.clone().addDays(-21)) || 'open';
+    });
+
+    // Capacity: a slot takes several bookings at the same time, and is closed once they fill it
+    var sameHourEvents = [
+        {id: 1, title: 'First', startDate: mondayText + ' 09:00:00', endDate: mondayText + ' 10:00:00'},
+        {id: 2, title: 'Second', startDate: mondayText + ' 09:00:00', endDate: mondayText + ' 09:30:00'}
+    ];
+    check('The slots taking several bookings show the places left', slotsAre({jsonData: sameHourEvents, capacity: 3}, monday,
+        ['08:00 3 places left', '09:00 1 places left', '10:00 2 places left', '11:00 3 places left', '12:00 3 places left']));
+    check('A slot is closed once its bookings fill its capacity', slotsAre({jsonData: sameHourEvents, capacity: 2}, monday,
+        ['08:00 2 places left', '09:00 closed', '10:00 1 places left', '11:00 2 places left', '12:00 2 places left']));
+    check('The bookings one after the other in a slot take a single place', slotsAre({
+        jsonData: [
+            {id: 1, title: 'First', startDate: mondayText + ' 11:00:00', endDate: mondayText + ' 11:30:00'},
+            {id: 2, title: 'Second', startDate: mondayText + ' 11:30:00', endDate: mondayText + ' 11:45:00'}
+        ],
+        capacity: 2
+    }, monday, ['08:00 2 places left', '09:00 2 places left', '10:00 2 places left', '11:00 1 places left', '12:00 2 places left']));
+    check('The capacity of a category replaces the setting', slotsAre({
+        jsonData: sameHourEvents,
+        capacity: 3,
+        categoryId: '1',
+        categoriesForBooking: [{name: 'Room 1', code: '1', capacity: 1}]
+    }, monday, ['08:00', '09:00 closed', '10:00 closed', '11:00', '12:00']));
+
+    // Ranges of slots: a click on the first slot and one on the last, the slots between being free and the duration allowed
+    var rangeOptions = {
+        multiSlotSelection: true,
+        jsonData: [{id: 1, title: 'Taken', startDate: mondayText + ' 11:00:00', endDate: mondayText + ' 11:30:00'}]
+    };
+    check('Two clicks book the slots between them', bookingIs(rangeOptions, monday, ['10:00', '08:00'], '08:00-11:00, 180'));
+    check('A single slot is booked with two clicks on it', bookingIs(rangeOptions, monday, ['09:00', '09:00'], '09:00-10:00, 60'));
+    check('A range over a taken slot is refused', bookingIs(rangeOptions, monday, ['10:00', '12:00'], 'The selected time slots are not all free'));
+    check('A duration out of the allowed ones is refused', bookingIs($.extend({allowedDurations: [60, 180]}, rangeOptions), monday, ['08:00', '09:00'],
+        "This duration can't be booked"));
+    check('A shift-click starts a range without multiSlotSelection', bookingIs({}, monday, ['08:00', '09:00'], '08:00-10:00, 120', true));
+    check('A click books a slot without multiSlotSelection', bookingIs({}, monday, ['09:00'], '09:00-10:00, 60'));
+
+    // Nightly booking: a check-in day and a check-out day, every night between them available
+    var stayMonth = Date.today().addMonths(1).moveToFirstDayOfMonth();
+    var stayMonthText = stayMonth.toString('yyyy-MM');
+    var takenNight = {
+        jsonData: [{id: 1, title: 'Guest', startDate: stayMonthText + '-11 15:00:00', endDate: stayMonthText + '-12 10:00:00'}]
+    };
+    check('A stay is booked from the check-in time of its first day to the check-out time of its last',
+        stayIs({}, stayMonth, [10, 13], stayMonth.toString('MM') + '-10 14:00 - ' + stayMonth.toString('MM') + '-13 11:00'));
+    check('A check-in day asks for the check-out day', stayIs({}, stayMonth, [10], 'Select your check-out day'));
+    check('The nights taken by an event are unavailable', function () {
+        return withStayMonth(takenNight, stayMonth, function ($calendar) {
+            var unavailableDays = $calendar.find('.currentMonth .js-calendar-day.unavailable').map(function () {
+                return $(this).data('date').getDate();
+            }).get();
+            return (unavailableDays.join(' ') === '11') || ('got ' + unavailableDays.join(' '));
+        });
+    });
+    check('A stay over a taken night is refused', stayIs(takenNight, stayMonth, [10, 13], 'These nights are not all available'));
+    check('A stay ending on the day of a taken night is booked',
+        stayIs(takenNight, stayMonth, [9, 11], stayMonth.toString('MM') + '-09 14:00 - ' + stayMonth.toString('MM') + '-11 11:00'));
+    check('A stay shorter than minStay is refused', stayIs({minStay: 2}, stayMonth, [10, 11], 'This stay is too short'));
+    check('A stay longer than maxStay is refused', stayIs({maxStay: 2}, stayMonth, [10, 13], 'This stay is too long'));
+});
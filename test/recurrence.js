@@ -0,0 +1,229 @@
+/*
+ Checks of the recurring events: the occurrences of the recurrences, and showing a month of a daily event taking
+ the same work whatever the age of the series, its occurrences being expanded within the month only
+ (EventRecurrence.getRecurrenceDates)
+ */
+
+/**
+ * Returns the occurrences of a recurring event within a period
+ * @param {object|string} recurrence   The recurrence of the event
+ * @param {string} startDate           The start of the event ('yyyy-MM-dd HH:mm:ss')
+ * @param {string} from                The start of the period ('yyyy-MM-dd')
+ * @param {string} to                  The end of the period, excluded ('yyyy-MM-dd')
+ * @returns {string}                   The start times of the occurrences ('yyyy-MM-dd HH:mm' separated with commas)
+ */
+var getOccurrences = function (recurrence, startDate, from, to) {
+    var eventItem = new $.EventItem({
+        id: 1,
+        title: 'Event',
+        startDate: startDate,
+        endDate: startDate,
+        recurrence: recurrence
+    }, 'yyyy-MM-dd HH:mm:ss');
+    return $.map(eventItem.getEventInstances(Date.parseExact(from, 'yyyy-MM-dd'), Date.parseExact(to, 'yyyy-MM-dd')), function (eventInstance) {
+        return eventInstance.startDate.toString('yyyy-MM-dd HH:mm');
+    }).join(', ');
+};
+
+/**
+ * Returns a check that the occurrences of a recurring event within a period are the expected ones
+ * @param {object|string} recurrence   The recurrence of the event
+ * @param {string} startDate           The start of the event ('yyyy-MM-dd HH:mm:ss')
+ * @param {string} from                The start of the period ('yyyy-MM-dd')
+ * @param {string} to                  The end of the period, excluded ('yyyy-MM-dd')
+ * @param {Array} expectedDates        The start times of the occurrences ('yyyy-MM-dd HH:mm')
+ * @returns {function}
+ */
+var occurrencesAre = function (recurrence, startDate, from, to, expectedDates) {
+    return function () {
+        var occurrences = getOccurrences(recurrence, startDate, from, to);
+        return (occurrences === expectedDates.join(', ')) || ('got ' + (occurrences || 'none'));
+    };
+};
+
+/**
+ * Shows the current month of a calendar with a daily event
+ * @param {Date} seriesStartDate   The start of the daily event
+ * @returns {number}               The number of days of the month showing the event
+ */
+var showDailyEventMonth = function (seriesStartDate) {
+    var today = Date.today();
+    return withCalendar({
+        jsonData: [{
+            id: 1,
+            title: 'Daily',
+            startDate: seriesStartDate.clone().set({hour: 10}).toString('yyyy-MM-dd HH:mm:ss'),
+            endDate: seriesStartDate.clone().set({hour: 11}).toString('yyyy-MM-dd HH:mm:ss'),
+            recurrence: {type: 'day', interval: 1}
+        }],
+        jsonDateFormat: 'yyyy-MM-dd HH:mm:ss',
+        currentDate: today,
+        startDate: seriesStartDate.clone().addYears(-1),
+        endDate: today.clone().addYears(1)
+    }, function ($calendar) {
+        $calendar.find('.js-period-selector').first().click();
+        return $calendar.find('.currentMonth .dayWithEvents').length;
+    });
+};
+
+/**
+ * Expands the occurrences of a daily event within the current month, counting the dates looked at on the way
+ * @param {Date} seriesStartDate   The start of the daily event
+ * @returns {{instances: number, steps: number}}   The number of occurrences of the month, and the number of dates
+ *                                                 compared (which grows with every occurrence walked through)
+ */
+var expandMonth = function (seriesStartDate) {
+    var eventItem = new $.EventItem({
+        id: 1,
+        title: 'Daily',
+        startDate: seriesStartDate.clone().set({hour: 10}).toString('yyyy-MM-dd HH:mm:ss'),
+        endDate: seriesStartDate.clone().set({hour: 11}).toString('yyyy-MM-dd HH:mm:ss'),
+        recurrence: {type: 'day', interval: 1}
+    }, 'yyyy-MM-dd HH:mm:ss');
+    var monthStartDate = Date.today().moveToFirstDayOfMonth();
+    var monthEndDate = monthStartDate.clone().addMonths(1);
+
+    var steps = 0;
+    var isBefore = Date.prototype.isBefore;
+    Date.prototype.isBefore = function () {
+        steps += 1;
+        return isBefore.apply(this, arguments);
+    };
+    try {
+        return {instances: eventItem.getEventInstances(monthStartDate, monthEndDate).length, steps: steps};
+    } finally {
+        Date.prototype.isBefore = isBefore;
+    }
+};
+
+/**
+ * Returns a check that the occurrences of a daily event (five days from 2 Apr 2018, 10:00 to 11:00) changed
+ * by exceptions are the expected ones
+ * @param {Array} exceptions       The exceptions of the event
+ * @param {string} from            The start of the period ('yyyy-MM-dd')
+ * @param {string} to              The end of the period, excluded ('yyyy-MM-dd')
+ * @param {Array} expectedTexts    The occurrences ('MM-dd HH:mm-HH:mm title')
+ * @returns {function}
+ */
+var exceptionsGive = function (exceptions, from, to, expectedTexts) {
+    return function () {
+        var eventItem = new $.EventItem({
+            id: 1,
+            title: 'Daily',
+            startDate: '2018-04-02 10:00:00',
+            endDate: '2018-04-02 11:00:00',
+            recurrence: {type: 'day', interval: 1, end: 5},
+            exceptions: exceptions
+        }, 'yyyy-MM-dd HH:mm:ss');
+        var texts = $.map(eventItem.getEventInstances(Date.parseExact(from, 'yyyy-MM-dd'), Date.parseExact(to, 'yyyy-MM-dd')), function (eventInstance) {
+            return eventInstance.startDate.toString('MM-dd HH:mm') + '-' + eventInstance.endDate.toString('HH:mm') + ' ' + eventInstance.title;
+        });
+        return (texts.join(', ') === expectedTexts.join(', ')) || ('got ' + (texts.join(', ') || 'none'));
+    };
+};
+
+/**
+ * Returns the errors reported on a recurrence
+ * @param {object|string} recurrence   The recurrence
+ * @returns {Array}                    The error messages
+ */
+var getRecurrenceErrors = function (recurrence) {
+    var errors = [];
+    new $.EventRecurrence(recurrence, 'yyyy-MM-dd HH:mm:ss', function (message) {
+        errors.push(message);
+    });
+    return errors;
+};
+
+$(document).ready(function () {
+    // Weekly recurrences on a list of week days
+    check('Weekly on Monday, Wednesday and Friday', occurrencesAre({type: 'week', interval: 1, frequency: [1, 3, 5]},
+        '2018-04-02 10:00:00', '2018-04-01', '2018-04-10', ['2018-04-02 10:00', '2018-04-04 10:00', '2018-04-06 10:00', '2018-04-09 10:00']));
+    check('Every second week on Monday and Friday', occurrencesAre({type: 'week', interval: 2, frequency: [1, 5]},
+        '2018-04-02 10:00:00', '2018-04-01', '2018-04-24', ['2018-04-02 10:00', '2018-04-06 10:00', '2018-04-16 10:00', '2018-04-20 10:00']));
+    check('A week day list ending after a number of events counts each day', occurrencesAre({type: 'week', interval: 1, frequency: [2, 4], end: 3},
+        '2018-04-03 10:00:00', '2018-04-01', '2018-05-01', ['2018-04-03 10:00', '2018-04-05 10:00', '2018-04-10 10:00']));
+    check('Weeks starting on Monday keep Sunday with the days before it', occurrencesAre({type: 'week', interval: 2, frequency: [0, 1], weekStart: 1},
+        '2018-04-02 10:00:00', '2018-04-01', '2018-04-24', ['2018-04-02 10:00', '2018-04-08 10:00', '2018-04-16 10:00', '2018-04-22 10:00']));
+
+    // Recurrences on the nth week day of the month
+    check('Second Monday of each month', occurrencesAre({type: 'month', interval: 1, day: 1, count2: 2},
+        '2018-04-09 10:00:00', '2018-04-01', '2018-07-01', ['2018-04-09 10:00', '2018-05-14 10:00', '2018-06-11 10:00']));
+    check('Last Friday of each month', occurrencesAre({type: 'month', interval: 1, day: 5, count2: -1},
+        '2018-04-27 10:00:00', '2018-04-01', '2018-07-01', ['2018-04-27 10:00', '2018-05-25 10:00', '2018-06-29 10:00']));
+    check('First Tuesday of every second month', occurrencesAre({type: 'month', interval: 2, day: 2, count2: 1},
+        '2018-04-03 10:00:00', '2018-04-01', '2018-11-01', ['2018-04-03 10:00', '2018-06-05 10:00', '2018-08-07 10:00', '2018-10-02 10:00']));
+    check('A fifth Monday skips the months without one', occurrencesAre({type: 'month', interval: 1, day: 1, count2: 5},
+        '2018-04-30 10:00:00', '2018-04-01', '2018-11-01', ['2018-04-30 10:00', '2018-07-30 10:00', '2018-10-29 10:00']));
+    check('Fourth Thursday of November each year', occurrencesAre({type: 'year', interval: 1, day: 4, count2: 4},
+        '2018-11-22 10:00:00', '2018-01-01', '2021-01-01', ['2018-11-22 10:00', '2019-11-28 10:00', '2020-11-26 10:00']));
+
+    // RRULE strings, with their EXDATE and RDATE lists
+    check('RRULE weekly on Monday and Wednesday with a count', occurrencesAre('FREQ=WEEKLY;BYDAY=MO,WE;COUNT=4',
+        '2018-04-02 10:00:00', '2018-04-01', '2018-05-01', ['2018-04-02 10:00', '2018-04-04 10:00', '2018-04-09 10:00', '2018-04-11 10:00']));
+    check('RRULE last Friday of each month until a date', occurrencesAre('FREQ=MONTHLY;BYDAY=-1FR;UNTIL=20180831',
+        '2018-04-27 10:00:00', '2018-04-01', '2018-12-01', ['2018-04-27 10:00', '2018-05-25 10:00', '2018-06-29 10:00', '2018-07-27 10:00', '2018-08-31 10:00']));
+    check('RRULE every second week with the week starting on Sunday', occurrencesAre('FREQ=WEEKLY;BYDAY=SU,MO;INTERVAL=2;WKST=SU',
+        '2018-04-02 10:00:00', '2018-04-01', '2018-04-24', ['2018-04-02 10:00', '2018-04-15 10:00', '2018-04-16 10:00']));
+    check('RRULE yearly on the fourth Thursday', occurrencesAre('FREQ=YEARLY;BYDAY=4TH',
+        '2018-11-22 10:00:00', '2018-01-01', '2020-01-01', ['2018-11-22 10:00', '2019-11-28 10:00']));
+    check('EXDATE takes out a time or a whole day, RDATE adds a day at the event time', occurrencesAre('RRULE:FREQ=DAILY;COUNT=5\nEXDATE:20180403T100000,20180405\nRDATE;VALUE=DATE:20180410',
+        '2018-04-02 10:00:00', '2018-04-01', '2018-05-01', ['2018-04-02 10:00', '2018-04-04 10:00', '2018-04-06 10:00', '2018-04-10 10:00']));
+    var utcTime = new Date(2018, 3, 3, 10, 0, 0).toISOString().replace(/[-:]/g, '').substr(0, 15) + 'Z';
+    check('EXDATE in UTC (' + utcTime + ') takes out the occurrence at that moment', occurrencesAre('RRULE:FREQ=DAILY;COUNT=3\nEXDATE:' + utcTime,
+        '2018-04-02 10:00:00', '2018-04-01', '2018-05-01', ['2018-04-02 10:00', '2018-04-04 10:00']));
+    check('RRULE parts which are not supported are reported', function () {
+        var errors = getRecurrenceErrors('FREQ=DAILY;BYMONTH=1').concat(getRecurrenceErrors('FREQ=HOURLY'), getRecurrenceErrors('RRULE:FREQ=DAILY\nEXDATE;TZID=Europe/Paris:20180403T100000'));
+        return (errors.length === 3) || ('got ' + (errors.join(', ') || 'no error'));
+    });
+    check('An event with a rule which is not supported happens once', occurrencesAre('FREQ=HOURLY',
+        '2018-04-02 10:00:00', '2018-04-01', '2018-04-05', ['2018-04-02 10:00']));
+
+    // Exceptions changing single occurrences
+    check('A cancelled occurrence is taken out', exceptionsGive([{originalDate: '2018-04-03 10:00:00', cancelled: true}], '2018-04-01', '2018-05-01',
+        ['04-02 10:00-11:00 Daily', '04-04 10:00-11:00 Daily', '04-05 10:00-11:00 Daily', '04-06 10:00-11:00 Daily']));
+    check('An exception without a time matches the whole day', exceptionsGive([{originalDate: '2018-04-04', cancelled: true}], '2018-04-01', '2018-05-01',
+        ['04-02 10:00-11:00 Daily', '04-03 10:00-11:00 Daily', '04-05 10:00-11:00 Daily', '04-06 10:00-11:00 Daily']));
+    check('An exception at another time matches no occurrence', exceptionsGive([{originalDate: '2018-04-03 11:00:00', cancelled: true}], '2018-04-01', '2018-04-04',
+        ['04-02 10:00-11:00 Daily', '04-03 10:00-11:00 Daily']));
+    check('A moved occurrence keeps its length and takes its own title', exceptionsGive([{originalDate: '2018-04-03 10:00:00', startDate: '2018-04-03 14:00:00', title: 'Moved'}], '2018-04-01', '2018-04-04',
+        ['04-02 10:00-11:00 Daily', '04-03 14:00-15:00 Moved']));
+    check('A moved occurrence can take its own end', exceptionsGive([{originalDate: '2018-04-03 10:00:00', startDate: '2018-04-03 14:00:00', endDate: '2018-04-03 17:00:00'}], '2018-04-03', '2018-04-04',
+        ['04-03 14:00-17:00 Daily']));
+    check('An occurrence moved after the recurrence shows in its new period', exceptionsGive([{originalDate: '2018-04-02 10:00:00', startDate: '2018-04-10 09:00:00'}], '2018-04-08', '2018-04-15',
+        ['04-10 09:00-10:00 Daily']));
+    check('An occurrence moved before the recurrence shows in its new period', exceptionsGive([{originalDate: '2018-04-06 10:00:00', startDate: '2018-04-01 09:00:00'}], '2018-04-01', '2018-04-02',
+        ['04-01 09:00-10:00 Daily']));
+
+    // An end date without a time includes the events of that day, whatever the type of the recurrence
+    check('A weekly recurrence includes its end day', occurrencesAre({type: 'week', interval: 1, frequency: [1, 3], end: '2018-04-11'},
+        '2018-04-02 10:00:00', '2018-04-01', '2018-05-01', ['2018-04-02 10:00', '2018-04-04 10:00', '2018-04-09 10:00', '2018-04-11 10:00']));
+    check('A daily recurrence includes its end day', occurrencesAre({type: 'day', interval: 1, end: '2018-04-04'},
+        '2018-04-02 10:00:00', '2018-04-01', '2018-05-01', ['2018-04-02 10:00', '2018-04-03 10:00', '2018-04-04 10:00']));
+    check('A monthly recurrence includes its end day', occurrencesAre({type: 'month', interval: 1, end: '2018-06-02'},
+        '2018-04-02 10:00:00', '2018-04-01', '2018-08-01', ['2018-04-02 10:00', '2018-05-02 10:00', '2018-06-02 10:00']));
+    check('An end date with a time ends the recurrence at that time', occurrencesAre({type: 'day', interval: 1, end: '2018-04-04 09:00:00'},
+        '2018-04-02 10:00:00', '2018-04-01', '2018-05-01', ['2018-04-02 10:00', '2018-04-03 10:00']));
+
+    var days = Date.getDaysInMonth(Date.today().getFullYear(), Date.today().getMonth());
+    var oneYearAgo = Date.today().addYears(-1);
+    var fiftyYearsAgo = Date.today().addYears(-50);
+
+    check('A daily event shows on each day of the month, whatever its age', function () {
+        var recent = showDailyEventMonth(oneYearAgo);
+        var old = showDailyEventMonth(fiftyYearsAgo);
+        return ((recent === days) && (old === days)) || ('shown on ' + recent + ' and ' + old + ' days of ' + days);
+    });
+
+    var recent = expandMonth(oneYearAgo);
+    var old = expandMonth(fiftyYearsAgo);
+
+    check('Only the occurrences of the month are expanded', function () {
+        return ((recent.instances === days) && (old.instances === days)) || (recent.instances + ' and ' + old.instances + ' occurrences for ' + days + ' days');
+    });
+
+    // Replaying the series from its start would walk through about 50 times more dates
+    check('Expanding the month takes the same work as the series gets older', function () {
+        return (old.steps === recent.steps) || ('50 years: ' + old.steps + ' dates compared, 1 year: ' + recent.steps);
+    });
+});
@@ -0,0 +1,680 @@
+/*
+ Checks of the rest adapters - the requests of the action handler, the events kept by the in-memory adapter, the errors
+ the requests fail with - and of the data loaded through them: the busy periods of the availability setting, the holds
+ on the slots chosen, the cancellation of the bookings, the months cached, and the answers of the requests superseded
+ */
+
+/**
+ * Serves a minimal booking form for the registration windows opened while a function runs
+ * @param {function} callback   The function
+ * @returns {*}                 What the function returns
+ */
+var withBookingForm = function (callback) {
+    var get = $.get;
+    $.get = function (url, success) {
+        if (url !== 'form.html') {
+            return get.apply($, arguments);
+        }
+        success("<h2 class='js-form-title'></h2><form class='js-event-add-form'><input type='text' name='name' value='Jane'/></form>");
+        return $.Deferred().resolve().promise();
+    };
+    try {
+        return callback();
+    } finally {
+        $.get = get;
+    }
+};
+
+/**
+ * Creates an adapter sending busy periods (availability setting), each one for every period asked for it overlaps
+ * @param {Array} busyPeriods   The busy periods: {startDate, endDate} ('yyyy-MM-dd HH:mm:ss')
+ * @returns {object}            The adapter
+ */
+var createAvailabilityRest = function (busyPeriods) {
+    return $.extend(new CalendarMemory(), {
+        getAvailability: function (categoryId, startDate, endDate, period, callback) {
+            var data = $.grep(busyPeriods, function (busyPeriod) {
+                return (busyPeriod.startDate < endDate) && (busyPeriod.endDate > startDate);
+            });
+            if (callback) callback(data);
+            return $.Deferred().resolve(data).promise();
+        }
+    });
+};
+
+/**
+ * Returns the number of slots taken of days of the year view of a calendar
+ * @param {object} options   The calendar options
+ * @param {Array} days       The days ('MM-dd')
+ * @returns {string}         The taken slots of each day ('MM-dd taken/slots')
+ */
+var getYearOccupancy = function (options, days) {
+    return withCalendar($.extend({view: 'year', jsonDateFormat: 'yyyy-MM-dd HH:mm:ss', timePeriods: [60]}, options), function ($calendar) {
+        $calendar.find('.js-period-selector').first().click();
+        return $calendar.find('.js-year-day').filter(function () {
+            return $.inArray($(this).data('date').toString('MM-dd'), days) >= 0;
+        }).map(function () {
+            return $(this).data('date').toString('MM-dd') + ' ' + this.title.split(' ').pop();
+        }).get().join(', ');
+    });
+};
+
+/**
+ * Returns a check that a text is the expected one
+ * @param {function} getText      Returns the text
+ * @param {string} expectedText   The expected text
+ * @returns {function}
+ */
+var textIs = function (getText, expectedText) {
+    return function () {
+        var text = getText();
+        return (text === expectedText) || ('got ' + (text || 'nothing'));
+    };
+};
+
+/**
+ * Creates an in-memory adapter holding the slots, which logs the holds and the loads of the events
+ * @param {object} holdAnswer   The answer to the holds ({id, expiresIn}), none for a hold failing on a conflict
+ * @param {Array} calls         The log of the calls ('get', 'hold HH:mm-HH:mm minutes', 'release id')
+ * @returns {object}            The adapter
+ */
+var createHoldRest = function (holdAnswer, calls) {
+    return $.extend(new CalendarMemory(), {
+        getEvents: function () {
+            calls.push('get');
+            return CalendarMemory.prototype.getEvents.apply(this, arguments);
+        },
+        holdSlot: function (categoryId, startDate, endDate, minutes) {
+            calls.push('hold ' + startDate.substr(11, 5) + '-' + endDate.substr(11, 5) + ' ' + minutes);
+            return holdAnswer ? this.resolve(holdAnswer) : calendarRestReject('conflict');
+        },
+        releaseHold: function (id) {
+            calls.push('release ' + id);
+            return this.resolve({});
+        }
+    });
+};
+
+/**
+ * Chooses the 09:00 slot of a day on a booking calendar holding the slots, runs a function with it, and tells what happened
+ * @param {object} options       The calendar options, added to booking one hour slots from 08:00 to 12:00 with holds
+ * @param {object} holdAnswer    The answer to the hold (see createHoldRest)
+ * @param {function=} callback   Called with the calendar element once the slot is chosen [Optional]
+ * @returns {string}             The calls made after the day was opened (see createHoldRest), then the hold countdown
+ *                               or the message shown
+ */
+var holdSlot = function (options, holdAnswer, callback) {
+    var calls = [];
+    var day = Date.today().addDays(7);
+    return withBookingForm(function () {
+        return withCalendar($.extend({
+            bookingMode: true,
+            bookingHolds: true,
+            rest: createHoldRest(holdAnswer, calls),
+            bookingCallback: function () {},
+            jsonDateFormat: 'yyyy-MM-dd HH:mm:ss',
+            currentDate: day,
+            startDate: day.clone().addMonths(-1),
+            endDate: day.clone().addMonths(1),
+            startTime: '08:00',
+            endTime: '12:00',
+            timePeriods: [60]
+        }, options), function ($calendar) {
+            $calendar.find('.js-period-selector').first().click();
+            $calendar.find('.currentMonth #dayList_' + day.getDate() + ' a').click();
+            calls.length = 0;
+            $calendar.find('.bookingCalendar-list .js-booking-link').filter(function () {
+                return $.trim($(this).text()).indexOf('09:00') === 0;
+            }).click();
+            if (callback) {
+                callback($calendar);
+            }
+            var state = $calendar.find('.bookingCalendar-holdCountdown, .bookingCalendar-selectionMessage').map(function () {
+                return $(this).text();
+            }).get();
+            var eventCalendar = $calendar.data('eventCalendar');
+            if (eventCalendar.currentHold) {
+                state.push('held ' + eventCalendar.currentHold.id);
+            }
+            // The countdown is not left running once the calendar is removed
+            clearInterval(eventCalendar.holdTimer);
+            return calls.concat(state).join(', ');
+        });
+    });
+};
+
+/**
+ * Returns a check that choosing a slot on a calendar holding the slots goes the expected way
+ * @param {object} options          The calendar options (see holdSlot)
+ * @param {object} holdAnswer       The answer to the hold (see createHoldRest)
+ * @param {function} callback       Called with the calendar element once the slot is chosen, may be null
+ * @param {string} expectedResult   What happened (see holdSlot)
+ * @returns {function}
+ */
+var holdIs = function (options, holdAnswer, callback, expectedResult) {
+    return function () {
+        var result = holdSlot(options, holdAnswer, callback);
+        return (result === expectedResult) || ('got ' + result);
+    };
+};
+
+/**
+ * Returns the data of the requests an action handler adapter sends while a function runs with it
+ * @param {function} callback   Called with the adapter
+ * @returns {string}            The data of each request, as JSON
+ */
+var getActionRequests = function (callback) {
+    var requests = [];
+    var record = function (data) {
+        requests.push(JSON.stringify(data));
+        return $.Deferred().resolve({}).promise();
+    };
+    callback($.extend({}, CalendarRest, {send: record, get: record}));
+    return requests.join(', ');
+};
+
+/**
+ * Returns how the promise of an adapter method ends for an ajax answer
+ * @param {object} answer   The answer: the data of a success, or the status, statusText, responseText and
+ *                          textStatus of a failure
+ * @returns {string}        'resolved', or the error rejected with ('type status message')
+ */
+var getRestError = function (answer) {
+    var request = $.extend($.Deferred(), {
+        status: answer.status || 0,
+        statusText: answer.statusText || '',
+        responseText: answer.responseText || ''
+    });
+    var result = 'pending';
+    calendarRestPromise(request).done(function () {
+        result = 'resolved';
+    }).fail(function (error) {
+        result = error.type + ' ' + error.status + ' ' + error.message;
+    });
+    if (answer.data) {
+        request.resolve(answer.data);
+    } else {
+        request.reject(request, answer.textStatus || 'error');
+    }
+    return result;
+};
+
+/**
+ * Runs operations on an in-memory adapter, and returns the events it keeps then
+ * @param {Array} events        The initial events data
+ * @param {function} callback   Called with the adapter, returns the promise of the last operation
+ * @returns {string}            The events kept ('id title'), followed by what the promise was resolved or rejected with
+ */
+var getMemoryEvents = function (events, callback) {
+    var memory = new CalendarMemory(events);
+    var result = '';
+    callback(memory).done(function (event) {
+        result = 'resolved ' + event.id + (event.cancelReason ? ' ' + event.cancelReason : '');
+    }).fail(function (error) {
+        result = 'rejected ' + error.type;
+    });
+    return $.map(memory.events, function (event) {
+        return event.id + ' ' + event.title;
+    }).concat(result).join(', ');
+};
+
+/**
+ * Lists a booking on a calendar which can cancel the bookings, and runs a function with it
+ * @param {object} options       The calendar options, added to the cancellation of the bookings through an in-memory adapter
+ * @param {number} startsIn      The minutes from now to the start of the booking (one hour long)
+ * @param {function} callback    Called with the calendar element and the adapter
+ * @returns {*}                  What the callback returns
+ */
+var withBooking = function (options, startsIn, callback) {
+    var startDate = new Date(new Date().getTime() + startsIn * 60000);
+    var rest = new CalendarMemory([{
+        id: 1,
+        title: 'Yoga',
+        description: '',
+        startDate: startDate.toString('yyyy-MM-dd HH:mm:ss'),
+        endDate: new Date(startDate.getTime() + 3600000).toString('yyyy-MM-dd HH:mm:ss')
+    }]);
+    return withCalendar($.extend({
+        rest: rest,
+        cancelBookings: true,
+        jsonDateFormat: 'yyyy-MM-dd HH:mm:ss',
+        currentDate: startDate.clone().clearTime(),
+        startDate: startDate.clone().clearTime().addMonths(-1),
+        endDate: startDate.clone().clearTime().addMonths(1)
+    }, options), function ($calendar) {
+        $calendar.find('.js-period-selector').first().click();
+        return callback($calendar, rest);
+    });
+};
+
+/**
+ * Returns the state of the bookings listed by a calendar which can cancel them
+ * @param {object} $calendar   The calendar element
+ * @param {object} rest        The in-memory adapter of the calendar
+ * @returns {string}           The bookings shown ('title', followed by ' (cancel)' when they can be cancelled), the
+ *                             messages shown and the number of bookings kept by the adapter
+ */
+var getCancelState = function ($calendar, rest) {
+    var shown = function () {
+        return $(this).css('display') !== 'none';
+    };
+    return $calendar.find('.bookingCalendar-list .js-event-list-item').filter(shown).map(function () {
+        return $(this).find('.eventTitle').text() + ($(this).find('.js-event-cancel').filter(shown).length ? ' (cancel)' : '');
+    }).get().concat($calendar.find('.eventCancelConfirm .eventCancelQuestion, .js-error-banner').map(function () {
+        return $(this).text();
+    }).get(), 'kept ' + rest.events.length).join(', ');
+};
+
+/**
+ * Creates an in-memory adapter logging the loads of the events
+ * @param {Array} calls     The log of the loads ('get MMM', followed by the day for the loads of a day, or
+ *                          'busy MMM period' for the busy periods of the availability setting)
+ * @param {Array=} events   The events data [Optional]
+ * @returns {object}        The adapter
+ */
+var createLoggedRest = function (calls, events) {
+    return $.extend(new CalendarMemory(events), {
+        getAvailability: function (categoryId, startDate, endDate, period) {
+            calls.push('busy ' + Date.parseExact(startDate, 'yyyy-MM-dd HH:mm:ss').toString('MMM') + ' ' + period);
+            return this.resolve([]);
+        },
+        getEvents: function (categoryId, participantId, year, month, day) {
+            calls.push('get ' + new Date(year, month, 1).toString('MMM') + ((day > 0) ? ' ' + day : ''));
+            return CalendarMemory.prototype.getEvents.apply(this, arguments);
+        }
+    });
+};
+
+/**
+ * Moves around a calendar loading its events through an adapter logging the loads, and returns the loads made
+ * @param {object} options      The calendar options, added to a calendar opened on March 15th of next year
+ * @param {function} callback   Called with the calendar element, the adapter and the loads logged so far
+ * @returns {string}            The loads made (see createLoggedRest)
+ */
+var getRestLoads = function (options, callback) {
+    var calls = [];
+    var year = Date.today().getFullYear() + 1;
+    return withCalendar($.extend({
+        rest: createLoggedRest(calls, [{id: 1, title: 'Yoga', description: '', startDate: year + '-03-20 10:00:00', endDate: year + '-03-20 11:00:00'}]),
+        jsonDateFormat: 'yyyy-MM-dd HH:mm:ss',
+        currentDate: new Date(year, 2, 15),
+        startDate: new Date(year, 0, 1),
+        endDate: new Date(year + 1, 0, 1)
+    }, options), function ($calendar) {
+        $calendar.find('.js-period-selector').first().click();
+        callback($calendar, $calendar.data('eventCalendar').api, calls);
+        return calls.join(', ');
+    });
+};
+
+/**
+ * Moves around a calendar loading its events through an adapter which answers only when told to, and returns what
+ * the calendar shows then
+ * @param {boolean} abortable   True for an adapter whose requests can be aborted
+ * @param {function} callback   Called with the calendar element, and a function answering the request of a month
+ *                              ('MMM') with its events, or with an error when given one
+ * @returns {string}            The months of the requests aborted, the titles of the events listed, the error shown,
+ *                              and 'loading' while the loading indicator is shown
+ */
+var getStaleState = function (abortable, callback) {
+    var requests = {};
+    var year = Date.today().getFullYear() + 1;
+    var rest = $.extend(new CalendarMemory($.map(['03', '04', '05'], function (month) {
+        return {id: month, title: 'Yoga ' + month, description: '', startDate: year + '-' + month + '-10 10:00:00', endDate: year + '-' + month + '-10 11:00:00'};
+    })), {
+        getEvents: function (categoryId, participantId, year, month) {
+            var deferred = $.Deferred();
+            var request = {deferred: deferred, aborted: false};
+            requests[new Date(year, month, 1).toString('MMM')] = request;
+            return deferred.promise(abortable ? {
+                abort: function () {
+                    // As for an ajax request, aborting one already answered does nothing
+                    if (deferred.state() === 'pending') {
+                        request.aborted = true;
+                        deferred.reject(calendarRestError('abort'));
+                    }
+                }
+            } : {});
+        }
+    });
+    var answer = function (month, error) {
+        var deferred = requests[month].deferred;
+        if (error) {
+            deferred.reject(error);
+        } else {
+            CalendarMemory.prototype.getEvents.call(rest).done(deferred.resolve);
+        }
+    };
+    return withCalendar({
+        rest: rest,
+        jsonDateFormat: 'yyyy-MM-dd HH:mm:ss',
+        currentDate: new Date(year, 2, 15),
+        startDate: new Date(year, 0, 1),
+        endDate: new Date(year + 1, 0, 1)
+    }, function ($calendar) {
+        $calendar.find('.js-period-selector').first().click();
+        answer('Mar');
+        callback($calendar, answer);
+        var state = [];
+        $.each(requests, function (month, request) {
+            if (request.aborted) {
+                state.push('aborted ' + month);
+            }
+        });
+        state = state.concat($calendar.find('.bookingCalendar-list .eventTitle, .js-error-banner').map(function () {
+            return $(this).text();
+        }).get());
+        if ($calendar.find('.bookingCalendar-loading').css('display') !== 'none') {
+            state.push('loading');
+        }
+        return state.join(', ');
+    });
+};
+
+$(document).ready(function () {
+    var year = Date.today().getFullYear() + 1;
+
+    // Action handler: the parameters not to filter by are sent as false
+    check('The events of January are asked for with month 0', textIs(function () {
+        return getActionRequests(function (rest) {
+            rest.getEvents(1, false, year, 0, false);
+        });
+    }, '{"action":"get","categoryId":1,"participantId":false,"year":' + year + ',"month":0,"day":false}'));
+    check('The events of every month are asked for without a month', textIs(function () {
+        return getActionRequests(function (rest) {
+            rest.getEvents(false, false, year, undefined, undefined);
+        });
+    }, '{"action":"get","categoryId":false,"participantId":false,"year":' + year + ',"month":false,"day":false}'));
+    check('An event with an invalid id is not sent', textIs(function () {
+        return getActionRequests(function (rest) {
+            rest.updateEvent('x', {title: 'Yoga'});
+            rest.deleteEvent(0);
+            rest.cancelEvent(5, 'ill');
+        });
+    }, '{"action":"cancel","id":5,"reason":"ill"}'));
+
+    // Errors: the HTTP status, or the error of the answer, tells the type
+    check('A success is resolved', textIs(function () {
+        return getRestError({data: {id: 1}, status: 200});
+    }, 'resolved'));
+    check('A 409 is a conflict', textIs(function () {
+        return getRestError({status: 409, statusText: 'Conflict'});
+    }, 'conflict 409 Conflict'));
+    check('A 400 is a validation error', textIs(function () {
+        return getRestError({status: 400, statusText: 'Bad Request'});
+    }, 'validation 400 Bad Request'));
+    check('A 422 is a validation error, with the message of the answer', textIs(function () {
+        return getRestError({status: 422, statusText: 'Unprocessable Entity', responseText: '{"message": "The name is missing"}'});
+    }, 'validation 422 The name is missing'));
+    check('A 500 is a server error', textIs(function () {
+        return getRestError({status: 500, statusText: 'Internal Server Error', responseText: '<h1>Oops</h1>'});
+    }, 'server 500 Internal Server Error'));
+    check('No answer is a network error', textIs(function () {
+        return getRestError({status: 0, textStatus: 'error'});
+    }, 'network 0 error'));
+    check('A request aborted is told apart', textIs(function () {
+        return getRestError({status: 0, textStatus: 'abort'});
+    }, 'abort 0 abort'));
+    check('An answer with an error type fails with it', textIs(function () {
+        return getRestError({data: {error: 'conflict', message: 'The slot is taken'}, status: 200});
+    }, 'conflict 200 The slot is taken'));
+    check('An answer with an error message is a server error', textIs(function () {
+        return getRestError({data: {error: 'The database is down'}, status: 200});
+    }, 'server 200 The database is down'));
+    check('The events failing to load are reported', textIs(function () {
+        var reported = [];
+        return withCalendar({
+            rest: $.extend(new CalendarMemory(), {
+                getEvents: function () {
+                    return calendarRestReject('network');
+                }
+            }),
+            onError: function (error) {
+                reported.push(error.type);
+            }
+        }, function ($calendar) {
+            $calendar.find('.js-period-selector').first().click();
+            return reported[0] + ', ' + $calendar.find('.js-error-banner').first().text();
+        });
+    }, "network, The server can't be reached, please check your connection"));
+
+    // In-memory adapter
+    var memoryEvents = [{id: 3, title: 'Yoga'}, {id: 7, title: 'Pilates'}];
+    check('An event added gets the next id', textIs(function () {
+        return getMemoryEvents(memoryEvents, function (memory) {
+            return memory.addEvent({title: 'Boxing'});
+        });
+    }, '3 Yoga, 7 Pilates, 8 Boxing, resolved 8'));
+    check('An event updated keeps its id', textIs(function () {
+        return getMemoryEvents(memoryEvents, function (memory) {
+            return memory.updateEvent('3', {id: 9, title: 'Hot yoga'});
+        });
+    }, '3 Hot yoga, 7 Pilates, resolved 3'));
+    check('An event deleted is removed', textIs(function () {
+        return getMemoryEvents(memoryEvents, function (memory) {
+            return memory.deleteEvent(3);
+        });
+    }, '7 Pilates, resolved 3'));
+    check('A booking cancelled is removed with its reason', textIs(function () {
+        return getMemoryEvents(memoryEvents, function (memory) {
+            return memory.cancelEvent(7, 'ill');
+        });
+    }, '3 Yoga, resolved 7 ill'));
+    check('An unknown event is not updated', textIs(function () {
+        return getMemoryEvents(memoryEvents, function (memory) {
+            return memory.updateEvent(4, {title: 'Boxing'});
+        });
+    }, '3 Yoga, 7 Pilates, rejected validation'));
+    check('An unknown event is not deleted', textIs(function () {
+        return getMemoryEvents(memoryEvents, function (memory) {
+            return memory.cancelEvent(4);
+        });
+    }, '3 Yoga, 7 Pilates, rejected validation'));
+    check('The initial events are copied', function () {
+        getMemoryEvents(memoryEvents, function (memory) {
+            return memory.updateEvent(3, {title: 'Hot yoga'});
+        });
+        return (memoryEvents[0].title === 'Yoga') || 'got ' + memoryEvents[0].title;
+    });
+
+    // Availability: the busy periods over two months are sent for each of them, and count once
+    var availabilityOptions = {
+        bookingMode: true,
+        availability: true,
+        rest: createAvailabilityRest([{startDate: year + '-01-31 20:00:00', endDate: year + '-02-01 10:00:00'}]),
+        currentDate: new Date(year, 0, 15),
+        startDate: new Date(year, 0, 1),
+        endDate: new Date(year + 1, 0, 1)
+    };
+    check('A busy period takes the slots of both its months', textIs(function () {
+        return getYearOccupancy($.extend({capacity: 1}, availabilityOptions), ['01-31', '02-01']);
+    }, '01-31 2/14, 02-01 3/14'));
+    check('A busy period over two months takes a single place', textIs(function () {
+        return getYearOccupancy($.extend({capacity: 2}, availabilityOptions), ['01-31', '02-01']);
+    }, '01-31 0/14, 02-01 0/14'));
+
+    // Holds: the slot chosen is held while the booking form is filled in
+    var held = {id: 'h1', expiresIn: 600};
+    check('A slot chosen is held', holdIs({}, held, null,
+        'hold 09:00-10:00 10, This slot is held for you for 10:00, held h1'));
+    check('A slot is held for the time asked for when the answer tells none', holdIs({holdTime: 5}, {id: 'h1'}, null,
+        'hold 09:00-10:00 5, This slot is held for you for 5:00, held h1'));
+    check('A slot is not held without the bookingHolds setting', holdIs({bookingHolds: false}, held, null, ''));
+    check('A hold failing loads the slots again', holdIs({}, null, null,
+        'hold 09:00-10:00 10, get, This slot has just been taken, please choose another one'));
+    check('A hold answered without id fails', holdIs({}, {expiresIn: 600}, null,
+        'hold 09:00-10:00 10, get, This slot has just been taken, please choose another one'));
+    check('A hold expired ends the booking', holdIs({}, {id: 'h1', expiresIn: -1}, null,
+        'hold 09:00-10:00 10, release h1, get, Your hold on the slot has expired, please choose it again'));
+    check('Cancelling the booking releases its hold', holdIs({}, held, function ($calendar) {
+        $calendar.find('.js-registration-cancel').click();
+    }, 'hold 09:00-10:00 10, release h1'));
+    check('The booking is made with its hold', function () {
+        var holdId;
+        var result = holdSlot({}, held, function ($calendar) {
+            $calendar.find('.js-event-add-form').submit();
+            holdId = $calendar.data('eventCalendar').api.events[0].holdId;
+        });
+        // The countdown stops, the form being left to the bookingCallback
+        return ((result === 'hold 09:00-10:00 10, This slot is held for you for 10:00') && (holdId === 'h1')) || ('got ' + result + ', hold ' + holdId);
+    });
+
+    // Cancellation: the bookings can be cancelled until the cutoff
+    var cancelOptions = {cancellationCutoff: 1440};
+    check('A booking can be cancelled before the cutoff', textIs(function () {
+        return withBooking(cancelOptions, 2 * 1440, getCancelState);
+    }, 'Yoga (cancel), kept 1'));
+    check('A booking can\'t be cancelled within the cutoff', textIs(function () {
+        return withBooking(cancelOptions, 12 * 60, getCancelState);
+    }, 'Yoga, kept 1'));
+    check('A booking can\'t be cancelled once started', textIs(function () {
+        return withBooking({}, -30, getCancelState);
+    }, 'Yoga, kept 1'));
+    check('A negative cutoff counts as none', textIs(function () {
+        return withBooking({cancellationCutoff: -120}, -30, getCancelState);
+    }, 'Yoga, kept 1'));
+    check('A booking can\'t be cancelled without the cancelBookings setting', textIs(function () {
+        return withBooking({cancelBookings: false}, 2 * 1440, getCancelState);
+    }, 'Yoga, kept 1'));
+    check('A booking is cancelled once confirmed', textIs(function () {
+        return withBooking(cancelOptions, 2 * 1440, function ($calendar, rest) {
+            var reasons = [];
+            rest.cancelEvent = function (id, reason) {
+                reasons.push(reason);
+                return CalendarMemory.prototype.cancelEvent.apply(this, arguments);
+            };
+            $calendar.find('.js-event-cancel').click();
+            var question = $calendar.find('.eventCancelQuestion').text();
+            $calendar.find('.js-cancel-reason').val(' ill ');
+            $calendar.find('.js-cancel-yes').click();
+            return question + ', ' + reasons.join() + ', ' + getCancelState($calendar, rest);
+        });
+    }, 'Do you really want to cancel this booking?, ill, kept 0'));
+    check('A booking is kept when the cancellation is not confirmed', textIs(function () {
+        return withBooking(cancelOptions, 2 * 1440, function ($calendar, rest) {
+            $calendar.find('.js-event-cancel').click();
+            $calendar.find('.js-cancel-no').click();
+            return getCancelState($calendar, rest);
+        });
+    }, 'Yoga (cancel), kept 1'));
+    check('A booking is kept when the cutoff is reached before the confirmation', textIs(function () {
+        return withBooking(cancelOptions, 2 * 1440, function ($calendar, rest) {
+            $calendar.find('.js-event-cancel').click();
+            $calendar.data('eventCalendar').settings.cancellationCutoff = 3 * 1440;
+            $calendar.find('.js-cancel-yes').click();
+            return getCancelState($calendar, rest);
+        });
+    }, "Yoga, This booking can't be cancelled any more, kept 1"));
+    check('A booking is put back when the cancellation is refused', textIs(function () {
+        return withBooking(cancelOptions, 2 * 1440, function ($calendar, rest) {
+            rest.cancelEvent = function () {
+                return calendarRestReject('conflict');
+            };
+            $calendar.find('.js-event-cancel').click();
+            $calendar.find('.js-cancel-yes').click();
+            return getCancelState($calendar, rest);
+        });
+    }, 'Yoga (cancel), This has just been changed by someone else, kept 1'));
+    check('A booking cancelled frees its day at once in booking mode', textIs(function () {
+        return withBooking($.extend({bookingMode: true}, cancelOptions), 2 * 1440, function ($calendar) {
+            var bookingDay = new Date(new Date().getTime() + 2 * 86400000);
+            var isBooked = function () {
+                return $calendar.find('.currentMonth #dayList_' + bookingDay.getDate()).hasClass('dayWithEvents');
+            };
+            var booked = isBooked();
+            $calendar.find('.js-event-cancel').click();
+            $calendar.find('.js-cancel-yes').click();
+            // The month shown is loaded again
+            return booked + ' ' + isBooked() + ', ' + $calendar.find('.bookingCalendar-subtitle').text();
+        });
+    }, 'true false, ' + new Date(new Date().getTime() + 2 * 86400000).toString('MMMM:')));
+
+    // Cache: with restCache the months are loaded once, until they are changed or too old
+    var moveAround = function ($calendar) {
+        $calendar.find('.arrow.next').click();
+        $calendar.find('.arrow.prev').click();
+        $calendar.find('.currentMonth #dayList_10 a').click();
+        $calendar.find('.currentMonth #dayList_11 a').click();
+    };
+    check('The events are loaded again on every move by default', textIs(function () {
+        return getRestLoads({}, moveAround);
+    }, 'get Mar, get Apr, get Mar, get Mar 10, get Mar 11'));
+    check('A month cached is loaded once for all its days', textIs(function () {
+        return getRestLoads({restCache: true}, moveAround);
+    }, 'get Mar, get Apr'));
+    check('The months around the one cached are prefetched', textIs(function () {
+        return getRestLoads({restCache: true, prefetchMonths: true}, moveAround);
+    }, 'get Mar, get Feb, get Apr, get May'));
+    check('A month cached is loaded again once too old', textIs(function () {
+        // The months are kept for a millisecond
+        return getRestLoads({restCache: true, restCacheTime: 1 / 60000}, function ($calendar) {
+            var loadedAt = new Date().getTime();
+            while (new Date().getTime() - loadedAt < 5) {
+                // Waiting for the month to get too old
+            }
+            $calendar.find('.currentMonth #dayList_10 a').click();
+        });
+    }, 'get Mar, get Mar'));
+    check('A month cached without a restCacheTime is kept', textIs(function () {
+        return getRestLoads({restCache: true, restCacheTime: 0}, function ($calendar) {
+            var loadedAt = new Date().getTime();
+            while (new Date().getTime() - loadedAt < 5) {
+                // Waiting as long as for the month getting too old
+            }
+            $calendar.find('.currentMonth #dayList_10 a').click();
+        });
+    }, 'get Mar'));
+    check('The busy periods are cached by slot length', textIs(function () {
+        return getRestLoads({restCache: true, bookingMode: true, availability: true, timePeriods: [30, 60]}, function ($calendar) {
+            $calendar.find('.js-period-selector').last().click();
+            $calendar.find('.js-period-selector').first().click();
+        });
+    }, 'busy Mar 30, busy Mar 60'));
+    check('A month cached is loaded again once its events are changed', textIs(function () {
+        return getRestLoads({restCache: true, cancelBookings: true}, function ($calendar) {
+            $calendar.find('.js-event-cancel').click();
+            $calendar.find('.js-cancel-yes').click();
+            $calendar.find('.arrow.next').click();
+            $calendar.find('.arrow.prev').click();
+            $calendar.find('.arrow.next').click();
+        });
+    }, 'get Mar, get Apr, get Mar'));
+
+    // Stale requests: only the answer of the latest move is shown
+    var moveTwice = function ($calendar) {
+        $calendar.find('.arrow.next').click();
+        $calendar.find('.arrow.next').click();
+    };
+    check('A request superseded is aborted', textIs(function () {
+        return getStaleState(true, function ($calendar, answer) {
+            moveTwice($calendar);
+            answer('May');
+        });
+    }, 'aborted Apr, Yoga 05'));
+    check('A late answer of a request superseded is ignored', textIs(function () {
+        return getStaleState(false, function ($calendar, answer) {
+            moveTwice($calendar);
+            answer('May');
+            answer('Apr');
+        });
+    }, 'Yoga 05'));
+    check('The loading is shown until the latest request is answered', textIs(function () {
+        return getStaleState(false, function ($calendar, answer) {
+            moveTwice($calendar);
+            answer('Apr');
+        });
+    }, 'Yoga 03, loading'));
+    check('The error of a request superseded is not shown', textIs(function () {
+        return getStaleState(false, function ($calendar, answer) {
+            moveTwice($calendar);
+            answer('Apr', calendarRestError('server', 'down'));
+            answer('May');
+        });
+    }, 'Yoga 05'));
+    check('The error of the latest request is shown', textIs(function () {
+        return getStaleState(false, function ($calendar, answer) {
+            moveTwice($calendar);
+            answer('May', calendarRestError('server', 'down'));
+        });
+    }, 'Something went wrong on the server, please try again (down), Yoga 03'));
+});
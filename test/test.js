@@ -0,0 +1,49 @@
+/*
+ A minimal runner for the checks of the test pages: each check is listed as passed or failed in the #results list.
+ The pages are opened in the browser, the time zone checks being worth running in several browser time zones.
+ */
+
+/**
+ * Runs a check and lists its result
+ * @param {string} name       What is checked
+ * @param {function} assert   Returns true when the check passes, or the reason it fails as a text
+ * @returns {boolean}         True if the check passed
+ */
+var check = function (name, assert) {
+    var result;
+    try {
+        result = assert();
+    } catch (e) {
+        result = e.message;
+    }
+    var passed = (result === true);
+    $('<li></li>')
+        .addClass(passed ? 'passed' : 'failed')
+        .text((passed ? 'PASS ' : 'FAIL ') + name + (passed ? '' : ': ' + result))
+        .appendTo('#results');
+    return passed;
+};
+
+/**
+ * Lists a note along the results (what the checks ran with, timings...)
+ * @param {string} text   The note
+ */
+var note = function (text) {
+    $('<li class="note"></li>').text(text).appendTo('#results');
+};
+
+/**
+ * Creates a booking calendar, runs a function with it and removes it
+ * @param {object} options       The calendar options
+ * @param {function} callback    Called with the calendar element
+ * @returns {*}                  What the callback returns
+ */
+var withCalendar = function (options, callback) {
+    var $calendar = $('<div class="bookingCalendar-test"></div>').appendTo('body');
+    try {
+        $calendar.bookingCalendar(options);
+        return callback($calendar);
+    } finally {
+        $calendar.remove();
+    }
+};
@@ -0,0 +1,76 @@
+/*
+ Checks of the timeZone setting: the booking slots of the days with a DST change follow the venue wall clock,
+ whatever the DST changes of the browser time zone
+ */
+
+/**
+ * Returns the times of the booking slots listed for a day, from midnight to 5:00, one hour each
+ * @param {Date} day              The day
+ * @param {string=} timeZone      The timeZone setting [Optional]
+ * @returns {Array}               The times ('HH:mm')
+ */
+var getSlotTimes = function (day, timeZone) {
+    return withCalendar({
+        bookingMode: true,
+        jsonData: [],
+        timeZone: timeZone || false,
+        currentDate: new Date(day.getFullYear(), day.getMonth(), 1),
+        startDate: new Date(day.getFullYear(), 0, 1),
+        endDate: new Date(day.getFullYear() + 1, 0, 1),
+        startTime: '00:00',
+        endTime: '05:00',
+        timePeriods: [60]
+    }, function ($calendar) {
+        $calendar.find('.js-period-selector').first().click();
+        $calendar.find('.currentMonth #dayList_' + day.getDate() + ' a').click();
+        return $calendar.find('.bookingCalendar-list .js-booking-link').map(function () {
+            return $(this).text();
+        }).get();
+    });
+};
+
+/**
+ * Returns a check that the slots of a day are the expected ones
+ * @param {Date} day              The day
+ * @param {string|boolean} timeZone   The timeZone setting
+ * @param {Array} expectedTimes   The times of the slots
+ * @returns {function}
+ */
+var slotsAre = function (day, timeZone, expectedTimes) {
+    return function () {
+        var times = getSlotTimes(day, timeZone);
+        return (times.join(' ') === expectedTimes.join(' ')) || ('got ' + times.join(' '));
+    };
+};
+
+$(document).ready(function () {
+    var allHours = ['00:00', '01:00', '02:00', '03:00', '04:00', '05:00'];
+    var springHours = ['00:00', '01:00', '03:00', '04:00', '05:00'];
+
+    // The days checked are in the next year, past slots can't be booked
+    var year = Date.today().getFullYear() + 1;
+
+    note('Browser time zone: ' + Intl.DateTimeFormat().resolvedOptions().timeZone);
+
+    // The venue changes its clocks: the skipped hour has no slot, the repeated hour a single one
+    // (New York on the second Sunday of March and the first of November, Prague on the last Sundays of March and October)
+    check('New York spring forward skips 02:00', slotsAre(new Date(year, 2, 1).moveToNthOccurrence(0, 2), 'America/New_York', springHours));
+    check('New York fall back lists 01:00 once', slotsAre(new Date(year, 10, 1).moveToNthOccurrence(0, 1), 'America/New_York', allHours));
+    check('Prague spring forward skips 02:00', slotsAre(new Date(year, 2, 1).moveToNthOccurrence(0, -1), 'Europe/Prague', springHours));
+    check('Prague fall back lists 02:00 once', slotsAre(new Date(year, 9, 1).moveToNthOccurrence(0, -1), 'Europe/Prague', allHours));
+
+    // The browser changes its clocks but not the venue: every slot is there, once
+    var browserDstDays = [];
+    for (var day = new Date(year, 0, 1); day.getFullYear() === year; day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1)) {
+        if (new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1) - day !== 86400000) {
+            browserDstDays.push(day);
+        }
+    }
+    if (!browserDstDays.length) {
+        note('The browser time zone has no DST change in ' + year + ': open the page in one that has (e.g. Europe/Prague) to check the venue time zones without DST');
+    }
+    $.each(browserDstDays, function (key, dstDay) {
+        check('Tokyo (no DST) on ' + dstDay.toString('yyyy-MM-dd') + ' lists every hour', slotsAre(dstDay, 'Asia/Tokyo', allHours));
+        check('UTC (no DST) on ' + dstDay.toString('yyyy-MM-dd') + ' lists every hour', slotsAre(dstDay, 'UTC', allHours));
+    });
+});
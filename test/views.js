@@ -0,0 +1,281 @@
+/*
+ Checks of the calendar views: the events laid out on the week time grid, on the timeline of a day and on the rows
+ of the resource view, listed by day in the agenda, and the occupancy of the days of the year view
+ */
+
+/**
+ * Returns the events shown in the columns of the time grid of a calendar
+ * @param {object} $calendar   The calendar element
+ * @returns {Array}            The events of each column ('ddd HH:mm title top/height')
+ */
+var getTimeGridEvents = function ($calendar) {
+    return $calendar.find('.currentMonth .js-time-column').map(function () {
+        var $timeColumn = $(this);
+        return $timeColumn.find('.bookingCalendar-timeEvent').map(function () {
+            return $timeColumn.data('date').toString('ddd') + ' ' + $(this).text() + ' ' + this.style.top + '/' + this.style.height;
+        }).get();
+    }).get();
+};
+
+/**
+ * Returns the titles of the events listed by a calendar
+ * @param {object} $calendar   The calendar element
+ * @returns {Array}            The titles
+ */
+var getListedTitles = function ($calendar) {
+    return $calendar.find('.bookingCalendar-list .eventTitle').map(function () {
+        return $(this).text();
+    }).get();
+};
+
+/**
+ * Returns the booking slots shown by a calendar
+ * @param {object} $calendar   The calendar element
+ * @param {string} selector    The selector of the slots
+ * @returns {Array}            The slots ('HH:mm', followed by ' closed' for the slots which can't be booked)
+ */
+var getSlots = function ($calendar, selector) {
+    return $calendar.find(selector).map(function () {
+        return $.trim($(this).text()) + ($(this).hasClass('closed') ? ' closed' : '');
+    }).get();
+};
+
+/**
+ * Returns the rows of the resource view of a calendar
+ * @param {object} $calendar   The calendar element
+ * @returns {Array}            The rows ('name: events / closed slots', the slots by their title)
+ */
+var getResourceRows = function ($calendar) {
+    return $calendar.find('.currentMonth .js-resource-row').map(function () {
+        var $row = $(this);
+        var events = $row.find('.bookingCalendar-resourceEvent').map(function () {
+            return this.title + ' ' + this.style.left + '/' + this.style.width;
+        }).get();
+        var closedSlots = $row.find('.bookingCalendar-resourceCell.closed').map(function () {
+            return $.trim(this.title);
+        }).get();
+        return $row.find('.bookingCalendar-resourceName').text() + ': ' + events.join(' ') + ' / ' + closedSlots.join(' ');
+    }).get();
+};
+
+/**
+ * Returns the agenda of a calendar
+ * @param {object} $calendar   The calendar element
+ * @returns {Array}            The days ('day: HH:mm title...')
+ */
+var getAgenda = function ($calendar) {
+    return $calendar.find('.bookingCalendar-agendaDay').map(function () {
+        var events = $(this).nextUntil('.bookingCalendar-agendaDay').map(function () {
+            return $(this).find('.eventTime').text() + ' ' + $(this).find('.eventTitle').text();
+        }).get();
+        return $(this).text() + ': ' + events.join(' ');
+    }).get();
+};
+
+/**
+ * Returns a check that a text is the expected one
+ * @param {function} getText      Returns the text
+ * @param {string} expectedText   The expected text
+ * @returns {function}
+ */
+var textIs = function (getText, expectedText) {
+    return function () {
+        var text = getText();
+        return (text === expectedText) || ('got ' + (text || 'nothing'));
+    };
+};
+
+$(document).ready(function () {
+    // A day to book, some time ahead of now
+    var bookingDay = Date.today().addDays(7);
+    var bookingDayText = bookingDay.toString('yyyy-MM-dd');
+
+    var weekOptions = {
+        view: 'week',
+        jsonData: [
+            {id: 1, title: 'Weekly', startDate: '2018-04-02 10:00:00', endDate: '2018-04-02 11:30:00', recurrence: 'FREQ=WEEKLY;BYDAY=MO,WE'},
+            {id: 2, title: 'Night', startDate: '2018-03-31 20:00:00', endDate: '2018-04-02 09:00:00'}
+        ],
+        jsonDateFormat: 'yyyy-MM-dd HH:mm:ss',
+        currentDate: new Date(2018, 3, 4)
+    };
+
+    // Week view: one column for each day from Monday, 08:00 to 21:00 with 40px for an hour
+    check('The week of the current date is shown from Monday', textIs(function () {
+        return withCalendar(weekOptions, function ($calendar) {
+            $calendar.find('.js-period-selector').first().click();
+            return $calendar.find('.currentMonth .weekTitle').text();
+        });
+    }, 'Apr 2, 2018 - Apr 8, 2018'));
+    check('The events are placed at their time on their days', textIs(function () {
+        return withCalendar(weekOptions, function ($calendar) {
+            $calendar.find('.js-period-selector').first().click();
+            return getTimeGridEvents($calendar).join(', ');
+        });
+    }, 'Mon 10:00 Weekly 80px/60px, Mon 20:00 Night 0px/40px, Wed 10:00 Weekly 80px/60px'));
+    check('An event over midnight is cut at the hours shown of each of its days', textIs(function () {
+        return withCalendar(weekOptions, function ($calendar) {
+            $calendar.find('.js-period-selector').first().click();
+            $calendar.find('.arrow.prev').click();
+            return $calendar.find('.currentMonth .weekTitle').text() + ': ' + getTimeGridEvents($calendar).join(', ');
+        });
+    }, 'Mar 26, 2018 - Apr 1, 2018: Sat 20:00 Night 480px/40px, Sun 20:00 Night 0px/520px'));
+    check('Clicking a day of the week lists its events', textIs(function () {
+        return withCalendar(weekOptions, function ($calendar) {
+            $calendar.find('.js-period-selector').first().click();
+            $calendar.find('.currentMonth .js-grid-day').first().click();
+            return $calendar.find('.bookingCalendar-subtitle').text() + ' ' + getListedTitles($calendar).join(', ');
+        });
+    }, 'April 2nd: Night, Weekly'));
+
+    // Day timeline: the overlapping events side by side, and the booking slots of the day
+    check('Overlapping events share the width of the timeline', textIs(function () {
+        return withCalendar({
+            dayView: 'timeline',
+            jsonData: [
+                {id: 1, title: 'A', startDate: '2018-04-02 10:00:00', endDate: '2018-04-02 11:30:00'},
+                {id: 2, title: 'B', startDate: '2018-04-02 10:30:00', endDate: '2018-04-02 12:00:00'},
+                {id: 3, title: 'C', startDate: '2018-04-02 11:45:00', endDate: '2018-04-02 13:00:00'},
+                {id: 4, title: 'D', startDate: '2018-04-02 14:00:00', endDate: '2018-04-02 15:00:00'}
+            ],
+            jsonDateFormat: 'yyyy-MM-dd HH:mm:ss',
+            currentDate: new Date(2018, 3, 2)
+        }, function ($calendar) {
+            $calendar.find('.js-period-selector').first().click();
+            $calendar.find('.currentMonth #dayList_2 a').click();
+            return $calendar.find('.bookingCalendar-timeEvent').map(function () {
+                return $(this).text() + ' ' + this.style.left + '/' + this.style.width;
+            }).get().join(', ');
+        });
+    }, '10:00 A 0%/50%, 10:30 B 50%/50%, 11:45 C 0%/50%, 14:00 D 0%/100%'));
+
+    var timelineOptions = {
+        dayView: 'timeline',
+        bookingMode: true,
+        jsonData: [{id: 1, title: 'Taken', startDate: bookingDayText + ' 10:00:00', endDate: bookingDayText + ' 11:30:00'}],
+        jsonDateFormat: 'yyyy-MM-dd HH:mm:ss',
+        currentDate: bookingDay,
+        startDate: bookingDay.clone().addMonths(-1),
+        endDate: bookingDay.clone().addMonths(1),
+        startTime: '08:00',
+        endTime: '14:00',
+        timePeriods: [60]
+    };
+    check('The slots taken by an event are closed on the timeline', textIs(function () {
+        return withCalendar(timelineOptions, function ($calendar) {
+            $calendar.find('.js-period-selector').first().click();
+            $calendar.find('.currentMonth #dayList_' + bookingDay.getDate() + ' a').click();
+            return getSlots($calendar, '.bookingCalendar-timeSlot').join(', ');
+        });
+    }, '08:00, 09:00, 10:00 closed, 11:00 closed, 12:00, 13:00'));
+    check('Only the free slots of the timeline can be booked', textIs(function () {
+        return withCalendar(timelineOptions, function ($calendar) {
+            $calendar.find('.js-period-selector').first().click();
+            $calendar.find('.currentMonth #dayList_' + bookingDay.getDate() + ' a').click();
+            $calendar.find('.bookingCalendar-timeSlot.closed').first().click();
+            var closedSlotWindow = $calendar.data('eventCalendar').currentBookingWindow;
+            $calendar.find('.bookingCalendar-timeSlot:not(.closed)').last().click();
+            return (closedSlotWindow ? 'closed slot booked, ' : '') + $calendar.data('eventCalendar').currentBookingWindow.toString('HH:mm');
+        });
+    }, '13:00'));
+
+    // Resource view: a row for each category with its events and slots, the events without a category in every row
+    var resourceOptions = {
+        view: 'resource',
+        bookingMode: true,
+        categoriesForBooking: [{name: 'Room 1', code: '1'}, {name: 'Room 2', code: '2'}],
+        jsonData: [
+            {id: 1, title: 'Room', startDate: bookingDayText + ' 09:00:00', endDate: bookingDayText + ' 10:30:00', categoryId: '1'},
+            {id: 2, title: 'Venue', startDate: bookingDayText + ' 11:00:00', endDate: bookingDayText + ' 12:00:00'}
+        ],
+        jsonDateFormat: 'yyyy-MM-dd HH:mm:ss',
+        currentDate: bookingDay,
+        startDate: bookingDay.clone().addMonths(-1),
+        endDate: bookingDay.clone().addMonths(1),
+        startTime: '08:00',
+        endTime: '13:00',
+        timePeriods: [60]
+    };
+    check('Each category shows its events and slots, the events without a category in every row', textIs(function () {
+        return withCalendar(resourceOptions, function ($calendar) {
+            $calendar.find('.js-period-selector').first().click();
+            return getResourceRows($calendar).join(', ');
+        });
+    }, 'Room 1: 09:00 Room 20%/30% 11:00 Venue 60%/20% / Room 1 09:00 Room 1 10:00 Room 1 11:00 Room 1 12:00, Room 2: 11:00 Venue 60%/20% / Room 2 11:00 Room 2 12:00'));
+    check('Booking a slot of a row books its category', textIs(function () {
+        return withCalendar(resourceOptions, function ($calendar) {
+            $calendar.find('.js-period-selector').first().click();
+            $calendar.find('.currentMonth .js-resource-row').eq(1).find('.js-booking-link:not(.closed)').eq(1).click();
+            var eventCalendar = $calendar.data('eventCalendar');
+            return eventCalendar.currentBookingCategory + ' ' + eventCalendar.currentBookingWindow.toString('HH:mm');
+        });
+    }, '2 09:00'));
+    check('The arrows of the resource view move by a day', textIs(function () {
+        return withCalendar(resourceOptions, function ($calendar) {
+            $calendar.find('.js-period-selector').first().click();
+            $calendar.find('.arrow.next').click();
+            return $calendar.find('.currentMonth .weekTitle').text();
+        });
+    }, bookingDay.clone().addDays(1).toString('MMM d, yyyy')));
+
+    // Agenda: the events from the current date, grouped by day, the following months loaded until the end date
+    var agendaOptions = {
+        view: 'agenda',
+        jsonData: [
+            {id: 1, title: 'Weekly', startDate: '2018-04-02 10:00:00', endDate: '2018-04-02 11:30:00', recurrence: 'FREQ=WEEKLY;BYDAY=MO,TH;COUNT=4'},
+            {id: 2, title: 'Early', startDate: '2018-04-09 08:00:00', endDate: '2018-04-09 09:00:00'},
+            {id: 3, title: 'June', startDate: '2018-06-15 09:00:00', endDate: '2018-06-15 10:00:00'}
+        ],
+        jsonDateFormat: 'yyyy-MM-dd HH:mm:ss',
+        currentDate: new Date(2018, 3, 3)
+    };
+    check('The agenda lists the events from the current date by day, over the following months', textIs(function () {
+        return withCalendar(agendaOptions, function ($calendar) {
+            $calendar.find('.js-period-selector').first().click();
+            return getAgenda($calendar).join(', ');
+        });
+    }, 'Thursday, April 5: 10:00 Weekly, Monday, April 9: 08:00 Early 10:00 Weekly, Thursday, April 12: 10:00 Weekly, Friday, June 15: 09:00 June'));
+    check('The agenda stops loading at the end date', textIs(function () {
+        return withCalendar(agendaOptions, function ($calendar) {
+            $calendar.find('.js-period-selector').first().click();
+            var agenda = $calendar.find('.js-agenda').data('agenda');
+            return agenda.ended + ' ' + agenda.nextMonth.toString('yyyy-MM-dd');
+        });
+    }, 'true 2019-01-01'));
+
+    // Year view: the days shaded by the part of their slots taken, each opening its month
+    var yearOptions = {
+        view: 'year',
+        jsonData: [
+            {id: 1, title: 'Weekly', startDate: '2018-04-02 10:00:00', endDate: '2018-04-02 16:00:00', recurrence: 'FREQ=WEEKLY;BYDAY=MO;COUNT=2'},
+            {id: 2, title: 'Long', startDate: '2018-04-03 08:00:00', endDate: '2018-04-04 21:00:00'}
+        ],
+        jsonDateFormat: 'yyyy-MM-dd HH:mm:ss',
+        currentDate: new Date(2018, 3, 3),
+        timePeriods: [60]
+    };
+    check('The year view shows every day of the year', textIs(function () {
+        return withCalendar(yearOptions, function ($calendar) {
+            $calendar.find('.js-period-selector').first().click();
+            return $calendar.find('.currentMonth .weekTitle').text() + ': ' + $calendar.find('.bookingCalendar-miniMonth').length + ' months, ' +
+                $calendar.find('.js-year-day').length + ' days';
+        });
+    }, '2018: 12 months, 365 days'));
+    check('The days are shaded by the part of their slots taken', textIs(function () {
+        return withCalendar(yearOptions, function ($calendar) {
+            $calendar.find('.js-period-selector').first().click();
+            return $calendar.find('.js-year-day').not('.occupancy-0').map(function () {
+                return $(this).data('date').toString('MM-dd') + ' ' + this.className.match(/occupancy-\d/)[0];
+            }).get().join(', ');
+        });
+    }, '04-02 occupancy-2, 04-03 occupancy-4, 04-04 occupancy-4, 04-09 occupancy-2'));
+    check('A day of the year opens its month, which links back to the year', textIs(function () {
+        return withCalendar(yearOptions, function ($calendar) {
+            $calendar.find('.js-period-selector').first().click();
+            $calendar.find('.js-year-day').eq(100).click();
+            var month = $calendar.find('.currentMonth .monthTitle').text();
+            $calendar.find('.js-year-title').click();
+            return month + ', ' + $calendar.find('.currentMonth .weekTitle').text();
+        });
+    }, 'April 2018, 2018'));
+});